@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+
+const buildCourse = (fields = {}) => new Course({
+  title: 'Data Structures',
+  description: 'Lists, trees and graphs',
+  courseCode: 'CS201',
+  professor: new mongoose.Types.ObjectId(),
+  department: 'Computer Science',
+  credits: 3,
+  semester: 'Fall',
+  year: 2026,
+  capacity: 30,
+  ...fields
+});
+
+describe('Course enrollments', () => {
+  describe('a student who completed the course', () => {
+    let course;
+    let studentId;
+
+    beforeEach(() => {
+      studentId = new mongoose.Types.ObjectId();
+      course = buildCourse({
+        enrolledStudents: [{ student: studentId, status: 'completed' }]
+      });
+      course.save = jest.fn().mockResolvedValue(course);
+    });
+
+    it('keeps the credit when enrolling again', async () => {
+      await expect(course.enrollStudent(studentId)).rejects.toThrow('Student has already completed this course');
+      expect(course.enrolledStudents[0].status).toBe('completed');
+      expect(course.save).not.toHaveBeenCalled();
+    });
+
+    it('keeps the credit when dropping the course', () => {
+      expect(() => course.dropStudent(studentId)).toThrow('A completed course cannot be dropped');
+      expect(course.enrolledStudents[0].status).toBe('completed');
+      expect(course.save).not.toHaveBeenCalled();
+    });
+
+    it('cannot join the waitlist', async () => {
+      await expect(course.joinWaitlist(studentId)).rejects.toThrow('Student has already completed this course');
+      expect(course.waitlist).toHaveLength(0);
+    });
+  });
+
+  describe('prerequisites', () => {
+    it('accepts course codes', async () => {
+      await expect(buildCourse({ prerequisites: ['cs101', 'MATH1001'] }).validate()).resolves.toBeUndefined();
+    });
+
+    it('rejects free text on new courses', async () => {
+      await expect(buildCourse({ prerequisites: ['Intro to programming'] }).validate())
+        .rejects.toThrow('Prerequisites must be course codes like CS101 or MATH1001');
+    });
+
+    it('lets a course with legacy free-text prerequisites be saved again', async () => {
+      const course = Course.hydrate(buildCourse({ prerequisites: ['Intro to programming'] }).toObject());
+      course.enrolledStudents.push({ student: new mongoose.Types.ObjectId(), status: 'enrolled' });
+
+      await expect(course.validate()).resolves.toBeUndefined();
+    });
+
+    it('checks legacy prerequisites once they are changed', async () => {
+      const course = Course.hydrate(buildCourse({ prerequisites: ['Intro to programming'] }).toObject());
+      course.prerequisites.push('CS101');
+
+      await expect(course.validate())
+        .rejects.toThrow('Prerequisites must be course codes like CS101 or MATH1001');
+    });
+  });
+});
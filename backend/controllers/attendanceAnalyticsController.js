@@ -0,0 +1,355 @@
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const Attendance = require('../models/Attendance');
+const AttendanceSession = require('../models/AttendanceSession');
+const AcademicTerm = require('../models/AcademicTerm');
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+const { WEEKDAYS, calculateAttendanceRate } = require('../utils/helpers');
+
+// Lecture times are scheduled in server local time, so slots are grouped the same way
+const DEFAULT_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// Rate below which a group is reported as low attendance, unless given
+const DEFAULT_LOW_ATTENDANCE_THRESHOLD = 70;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Whether the lecture start falls on a day, or within a range of days, of the academic term
+const onDays = (from, to) => ({
+  $and: [
+    { $gte: ['$$lectureStart', from] },
+    { $lt: ['$$lectureStart', { $add: [to, DAY_MS] }] }
+  ]
+});
+
+// Build the stages shared by every report: records of held sessions joined
+// with their session and course, filtered by the query, with short stays
+// counted as absences like in the course statistics
+const buildAnalyticsPipeline = async (filters) => {
+  const { startDate, endDate, department, semester, year, professorId } = filters;
+
+  // Narrow the records as far as possible before joining anything to them
+  const recordMatch = { isDeleted: { $ne: true }, 'syncReview.status': { $ne: 'pending' } };
+  if (startDate || endDate) {
+    recordMatch.recordedAt = {};
+    if (startDate) recordMatch.recordedAt.$gte = new Date(startDate);
+    if (endDate) recordMatch.recordedAt.$lte = new Date(endDate);
+  }
+
+  const courseQuery = {};
+  if (department) courseQuery.department = department;
+  if (semester) courseQuery.semester = semester;
+  if (year) courseQuery.year = parseInt(year);
+  if (professorId) courseQuery.professor = new mongoose.Types.ObjectId(professorId);
+  if (Object.keys(courseQuery).length > 0) {
+    recordMatch.course = { $in: await Course.find(courseQuery).distinct('_id') };
+  }
+
+  const isShortStay = {
+    $and: [
+      { $in: ['$status', ['present', 'late']] },
+      { $isNumber: '$presencePercent' },
+      { $lt: ['$presencePercent', { $ifNull: ['$course.attendanceSettings.minimumPresencePercent', 0] }] }
+    ]
+  };
+
+  return [
+    { $match: recordMatch },
+    {
+      $lookup: {
+        from: AttendanceSession.collection.name,
+        localField: 'session',
+        foreignField: '_id',
+        pipeline: [{ $project: { opensAt: 1, startsAt: 1, finalizedAt: 1, state: 1 } }],
+        as: 'session'
+      }
+    },
+    { $unwind: '$session' },
+    { $match: { 'session.finalizedAt': { $ne: null }, 'session.state': { $ne: 'cancelled' } } },
+    {
+      $lookup: {
+        from: Course.collection.name,
+        localField: 'course',
+        foreignField: '_id',
+        pipeline: [{
+          $project: {
+            title: 1,
+            courseCode: 1,
+            department: 1,
+            semester: 1,
+            year: 1,
+            professor: 1,
+            term: 1,
+            'attendanceSettings.minimumPresencePercent': 1
+          }
+        }],
+        as: 'course'
+      }
+    },
+    { $unwind: '$course' },
+    // Sessions on the term's holidays, breaks and exam periods do not count
+    {
+      $lookup: {
+        from: AcademicTerm.collection.name,
+        localField: 'course.term',
+        foreignField: '_id',
+        pipeline: [{ $project: { startDate: 1, endDate: 1, breaks: 1, holidays: 1 } }],
+        as: 'term'
+      }
+    },
+    {
+      $match: {
+        $expr: {
+          $let: {
+            vars: {
+              term: { $arrayElemAt: ['$term', 0] },
+              lectureStart: { $ifNull: ['$session.startsAt', '$session.opensAt'] }
+            },
+            in: {
+              $or: [
+                { $eq: [{ $size: '$term' }, 0] },
+                {
+                  $and: [
+                    onDays('$$term.startDate', '$$term.endDate'),
+                    {
+                      $not: [{
+                        $anyElementTrue: [{
+                          $map: {
+                            input: { $ifNull: ['$$term.breaks', []] },
+                            as: 'period',
+                            in: onDays('$$period.startDate', '$$period.endDate')
+                          }
+                        }]
+                      }]
+                    },
+                    {
+                      $not: [{
+                        $anyElementTrue: [{
+                          $map: {
+                            input: { $ifNull: ['$$term.holidays', []] },
+                            as: 'holiday',
+                            in: onDays('$$holiday.date', '$$holiday.date')
+                          }
+                        }]
+                      }]
+                    }
+                  ]
+                }
+              ]
+            }
+          }
+        }
+      }
+    },
+    { $addFields: { status: { $cond: [isShortStay, 'absent', '$status'] } } }
+  ];
+};
+
+// Count statuses, sessions and courses per group
+const countStatus = (status) => ({ $sum: { $cond: [{ $eq: ['$status', status] }, 1, 0] } });
+const groupCounts = (key) => ({
+  $group: {
+    _id: key,
+    present: countStatus('present'),
+    late: countStatus('late'),
+    absent: countStatus('absent'),
+    excused: countStatus('excused'),
+    sessions: { $addToSet: '$session._id' },
+    courses: { $addToSet: '$course._id' },
+    label: { $first: '$course' }
+  }
+});
+
+// Shape a group for API responses
+const formatGroup = (entry, threshold) => {
+  const counts = {
+    present: entry.present,
+    late: entry.late,
+    absent: entry.absent,
+    excused: entry.excused
+  };
+  const attendanceRate = calculateAttendanceRate(counts);
+
+  return {
+    ...counts,
+    sessions: entry.sessions.length,
+    courses: entry.courses.length,
+    attendanceRate,
+    lowAttendance: attendanceRate < threshold
+  };
+};
+
+// Get attendance aggregated across courses (Admin only)
+const getAttendanceAnalytics = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { groupBy = 'department' } = req.query;
+    const timezone = req.query.timezone || DEFAULT_TIMEZONE;
+    const threshold = req.query.threshold !== undefined
+      ? parseFloat(req.query.threshold)
+      : DEFAULT_LOW_ATTENDANCE_THRESHOLD;
+
+    // The scheduled lecture start, or the session opening time for unscheduled sessions
+    const lectureStart = { $ifNull: ['$session.startsAt', '$session.opensAt'] };
+    const keys = {
+      department: '$course.department',
+      semester: { semester: '$course.semester', year: '$course.year' },
+      professor: '$course.professor',
+      course: '$course._id',
+      weekday: { $dayOfWeek: { date: lectureStart, timezone } },
+      timeSlot: {
+        weekday: { $dayOfWeek: { date: lectureStart, timezone } },
+        hour: { $hour: { date: lectureStart, timezone } }
+      }
+    };
+
+    const groups = await Attendance.aggregate([
+      ...(await buildAnalyticsPipeline(req.query)),
+      groupCounts(keys[groupBy])
+    ]);
+
+    // Professor names are not on the course documents
+    let professorById = new Map();
+    if (groupBy === 'professor') {
+      const professors = await User.find({ _id: { $in: groups.map(entry => entry._id) } })
+        .select('name email department');
+      professorById = new Map(professors.map(professor => [professor._id.toString(), professor]));
+    }
+
+    const describe = (entry) => {
+      switch (groupBy) {
+        case 'semester':
+          return { semester: entry._id.semester, year: entry._id.year };
+        case 'professor':
+          return { professor: professorById.get(String(entry._id)) || { _id: entry._id } };
+        case 'course':
+          return {
+            course: {
+              _id: entry._id,
+              title: entry.label.title,
+              courseCode: entry.label.courseCode,
+              department: entry.label.department
+            }
+          };
+        case 'weekday':
+          return { weekday: WEEKDAYS[entry._id - 1] };
+        case 'timeSlot':
+          return { weekday: WEEKDAYS[entry._id.weekday - 1], hour: entry._id.hour };
+        default:
+          return { department: entry._id };
+      }
+    };
+
+    const results = groups
+      .map(entry => ({ ...describe(entry), ...formatGroup(entry, threshold) }))
+      .sort((a, b) => a.attendanceRate - b.attendanceRate);
+
+    const overall = formatGroup({
+      present: groups.reduce((sum, entry) => sum + entry.present, 0),
+      late: groups.reduce((sum, entry) => sum + entry.late, 0),
+      absent: groups.reduce((sum, entry) => sum + entry.absent, 0),
+      excused: groups.reduce((sum, entry) => sum + entry.excused, 0),
+      sessions: [...new Set(groups.flatMap(entry => entry.sessions.map(String)))],
+      courses: [...new Set(groups.flatMap(entry => entry.courses.map(String)))]
+    }, threshold);
+
+    res.json({
+      success: true,
+      data: {
+        groupBy,
+        groups: results,
+        overall: {
+          ...overall,
+          lowAttendanceGroups: results.filter(entry => entry.lowAttendance).length
+        },
+        threshold,
+        ...(['weekday', 'timeSlot'].includes(groupBy) && { timezone })
+      }
+    });
+
+  } catch (error) {
+    console.error('Get attendance analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get attendance analytics',
+      error: error.message
+    });
+  }
+};
+
+// Get attendance over time across courses (Admin only)
+const getAttendanceTrends = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { interval = 'week', groupBy } = req.query;
+    const timezone = req.query.timezone || DEFAULT_TIMEZONE;
+    const threshold = req.query.threshold !== undefined
+      ? parseFloat(req.query.threshold)
+      : DEFAULT_LOW_ATTENDANCE_THRESHOLD;
+
+    // ISO weeks (2024-W03) or months (2024-01)
+    const period = {
+      $dateToString: {
+        format: interval === 'month' ? '%Y-%m' : '%G-W%V',
+        date: '$session.opensAt',
+        timezone
+      }
+    };
+    const series = groupBy === 'department' ? '$course.department' : null;
+
+    const groups = await Attendance.aggregate([
+      ...(await buildAnalyticsPipeline(req.query)),
+      groupCounts({ period, series }),
+      { $sort: { '_id.period': 1 } }
+    ]);
+
+    const points = groups.map(entry => ({
+      period: entry._id.period,
+      ...(series && { department: entry._id.series }),
+      ...formatGroup(entry, threshold)
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        interval,
+        groupBy: series ? groupBy : null,
+        trends: points,
+        threshold,
+        timezone
+      }
+    });
+
+  } catch (error) {
+    console.error('Get attendance trends error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get attendance trends',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAttendanceAnalytics,
+  getAttendanceTrends
+};
@@ -1,14 +1,344 @@
+const mongoose = require('mongoose');
 const Course = require('../models/Course');
 const User = require('../models/User');
+const Attendance = require('../models/Attendance');
+const AttendanceSession = require('../models/AttendanceSession');
+const ExcuseRequest = require('../models/ExcuseRequest');
 const { validationResult } = require('express-validator');
-const { generateQRCodeData } = require('../utils/helpers');
+const { buildAttendanceMatrix, matrixToCSV, matrixToXLSX } = require('../utils/attendanceExport');
+const attendanceStream = require('../services/attendanceStreamService');
+const AttendancePolicyService = require('../services/attendancePolicyService');
+const {
+  generateQRCodeData,
+  decodeQRCodeSession,
+  verifyQRCodeData,
+  getQRRotationSeconds,
+  generateCheckInCode,
+  verifyCheckInCode,
+  getCheckInCodeRotationSeconds,
+  calculateAttendanceRate,
+  checkGeofence,
+  findScanBursts
+} = require('../utils/helpers');
 
-// Attendance record schema (can be moved to separate model if needed)
-const attendanceRecords = new Map(); // In-memory storage for demo - use MongoDB in production
+const attendancePolicyService = new AttendancePolicyService();
+
+// A second scan sooner than this after checking in is a repeat, not a check-out
+const CHECK_OUT_MIN_GAP_MS = 60 * 1000;
+
+// Shape an attendance document the way the API has always returned records
+const formatAttendanceRecord = (record) => ({
+  _id: record._id,
+  courseId: record.course && record.course._id ? record.course._id : record.course,
+  studentId: record.student && record.student._id ? record.student._id : record.student,
+  date: record.recordedAt,
+  status: record.status,
+  session: record.session,
+  method: record.method,
+  recordedAt: record.recordedAt,
+  syncReview: record.syncReview ? record.syncReview.status : null
+});
+
+// Statuses a professor can set by hand
+const MANUAL_STATUSES = ['present', 'late', 'absent', 'excused'];
+
+// Load a course and make sure the current user teaches it
+const findOwnCourse = async (req, res, action) => {
+  const course = await Course.findById(req.params.id);
+  if (!course) {
+    res.status(404).json({
+      success: false,
+      message: 'Course not found'
+    });
+    return null;
+  }
+
+  if (!course.isStaff(req.user._id)) {
+    res.status(403).json({
+      success: false,
+      message: `You can only ${action} for courses you teach`
+    });
+    return null;
+  }
+
+  return course;
+};
+
+// Read the section (ID or code) a request is narrowed to. Returns { section },
+// with section null for the whole course, or null after sending a 404
+const findSectionFilter = (req, res, course) => {
+  const section = req.query.section ? course.getSection(req.query.section) : null;
+  if (req.query.section && !section) {
+    res.status(404).json({
+      success: false,
+      message: 'Section not found'
+    });
+    return null;
+  }
+  return { section };
+};
+
+// Check a student in to a session once its code has been verified.
+// Resolves to { statusCode, message } when the check-in is refused, or { course, record }
+const checkInStudent = async (student, session, { method, location, deviceId, scannedAt = null }) => {
+  const offline = Boolean(scannedAt);
+  const recordedAt = scannedAt || new Date();
+
+  if (session.state === 'cancelled') {
+    return {
+      statusCode: 400,
+      message: 'This meeting has been cancelled'
+    };
+  }
+
+  // Offline scans only need to fall inside the session window, even if it has closed since
+  if (offline ? !session.coversTime(recordedAt) : !session.isOpen(recordedAt)) {
+    return {
+      statusCode: 400,
+      message: 'This attendance session is not open'
+    };
+  }
+
+  // Find the course
+  const course = await Course.findById(session.course)
+    .populate('professor', 'name email');
+
+  if (!course) {
+    return {
+      statusCode: 404,
+      message: 'Course not found'
+    };
+  }
+
+  // Check if course is active and published
+  if (!course.isActive || !course.isPublished) {
+    return {
+      statusCode: 400,
+      message: 'Course is not available for attendance'
+    };
+  }
+
+  // Check if user is enrolled in the course
+  const enrollment = course.enrolledStudents.find(
+    enrollment => enrollment.student.toString() === student._id.toString()
+  );
+
+  if (!enrollment || enrollment.status !== 'enrolled') {
+    return {
+      statusCode: 403,
+      message: 'You are not enrolled in this course'
+    };
+  }
+
+  if (!session.isForSection(enrollment.section)) {
+    return {
+      statusCode: 403,
+      message: 'This session is for another section'
+    };
+  }
+
+  // Check the reported location against the geofence of the room the session is held in
+  const geofenceMode = course.attendanceSettings ? course.attendanceSettings.geofenceMode : 'off';
+  const geofence = course.getGeofence(session.section);
+  let geofenceCheck = null;
+  if (geofence && geofenceMode !== 'off') {
+    geofenceCheck = checkGeofence(geofence, location);
+
+    if (!geofenceCheck.inside && geofenceMode === 'enforce') {
+      return {
+        statusCode: 403,
+        message: geofenceCheck.flag === 'location_missing'
+          ? 'Your location is required to check in to this course'
+          : 'You must be in the classroom to check in',
+        distanceMeters: geofenceCheck.distanceMeters
+      };
+    }
+  }
+
+  // Check if attendance was already recorded for this session. An offline scan
+  // may replace the absence recorded when the session closed before it synced
+  const existingRecord = await Attendance.findOne({ session: session._id, student: student._id });
+  const replacesAbsence = offline && existingRecord &&
+    !existingRecord.isDeleted && existingRecord.method === 'system';
+
+  // In sessions that track departures, a second scan checks the student out
+  const checksOut = session.requiresCheckOut && existingRecord && !existingRecord.isDeleted &&
+    ['present', 'late'].includes(existingRecord.status) &&
+    ['qr', 'code'].includes(existingRecord.method) &&
+    recordedAt - existingRecord.recordedAt >= CHECK_OUT_MIN_GAP_MS;
+
+  if (checksOut) {
+    if (existingRecord.checkedOutAt) {
+      return {
+        statusCode: 400,
+        message: 'You have already checked out of this session'
+      };
+    }
+    if (existingRecord.deviceId && existingRecord.deviceId !== deviceId) {
+      return {
+        statusCode: 403,
+        message: 'Please check out with the device you checked in with'
+      };
+    }
+
+    existingRecord.checkOut(session, recordedAt);
+    // An offline check-out waits for review like an offline check-in
+    if (offline) {
+      existingRecord.checkOutSyncedAt = new Date();
+      existingRecord.syncReview = { status: 'pending' };
+      if (!existingRecord.flags.includes('offline_sync')) {
+        existingRecord.flags.push('offline_sync');
+      }
+    }
+    await existingRecord.save();
+
+    attendanceStream.publishCheckIn(session, existingRecord, student, 'check-out')
+      .catch(error => console.error('Attendance stream error:', error));
+
+    return { course, record: existingRecord, checkedOut: true };
+  }
+
+  if (existingRecord && !replacesAbsence) {
+    return {
+      statusCode: 400,
+      message: existingRecord.isDeleted
+        ? 'Your attendance for this session was removed by your professor'
+        : 'Attendance already recorded for this session'
+    };
+  }
+
+  // One device can only check in one student per session
+  const deviceRecord = await Attendance.findOne({ session: session._id, deviceId });
+  if (deviceRecord) {
+    return {
+      statusCode: 403,
+      message: 'This device has already been used to check in another student for this session'
+    };
+  }
+
+  // Flag accounts that start checking in from a different phone
+  const flags = geofenceCheck && geofenceCheck.flag ? [geofenceCheck.flag] : [];
+  // Offline scans cannot prove the code was scanned in the room, so they wait for staff review
+  if (offline) {
+    flags.push('offline_sync');
+  }
+  const previousScan = await Attendance.findOne({
+    student: student._id,
+    deviceId: { $type: 'string' }
+  }).sort({ recordedAt: -1 }).select('deviceId');
+  if (previousScan && previousScan.deviceId !== deviceId) {
+    flags.push('device_changed');
+  }
+
+  // Record attendance
+  const checkIn = {
+    method,
+    recordedAt,
+    location: location || undefined,
+    distanceMeters: geofenceCheck ? geofenceCheck.distanceMeters : null,
+    deviceId,
+    flags,
+    syncedAt: offline ? new Date() : null,
+    syncReview: { status: offline ? 'pending' : null }
+  };
+  let attendanceRecord;
+  try {
+    if (replacesAbsence) {
+      attendanceRecord = existingRecord.applyChange('update', {
+        status: session.classifyCheckIn(recordedAt),
+        changedBy: student._id,
+        reason: 'Offline check-in synced after the session closed'
+      });
+      attendanceRecord.set(checkIn);
+    } else {
+      attendanceRecord = new Attendance({
+        course: course._id,
+        student: student._id,
+        session: session._id,
+        status: session.classifyCheckIn(recordedAt),
+        ...checkIn
+      });
+    }
+    // Time on site was settled when the session closed, so settle this late check-in too
+    if (session.requiresCheckOut && session.finalizedAt) {
+      attendanceRecord.settle(session);
+    }
+    await attendanceRecord.save();
+  } catch (createError) {
+    // A concurrent scan for the same session or device won the race
+    if (createError.code === 11000) {
+      const duplicateDevice = createError.keyPattern && createError.keyPattern.deviceId;
+      return {
+        statusCode: duplicateDevice ? 403 : 400,
+        message: duplicateDevice
+          ? 'This device has already been used to check in another student for this session'
+          : 'Attendance already recorded for this session'
+      };
+    }
+    throw createError;
+  }
+
+  // Update live roster views; a failure here must not affect the check-in
+  attendanceStream.publishCheckIn(session, attendanceRecord, student)
+    .catch(error => console.error('Attendance stream error:', error));
+
+  return { course, record: attendanceRecord };
+};
+
+// Check the current student in to an open session and send the response
+const checkInToSession = async (req, res, session, method) => {
+  const { location, deviceId } = req.body;
+
+  const result = await checkInStudent(req.user, session, { method, location, deviceId });
+  if (!result.record) {
+    return res.status(result.statusCode).json({
+      success: false,
+      message: result.message,
+      ...(result.distanceMeters !== undefined && { distanceMeters: result.distanceMeters })
+    });
+  }
+
+  const { course, record, checkedOut } = result;
+  res.json({
+    success: true,
+    message: checkedOut ? 'Check-out recorded successfully' : 'Attendance recorded successfully',
+    data: {
+      course: {
+        _id: course._id,
+        title: course.title,
+        courseCode: course.courseCode,
+        professor: course.professor.name
+      },
+      student: {
+        _id: req.user._id,
+        name: req.user.name,
+        studentId: req.user.studentId
+      },
+      attendance: {
+        date: record.recordedAt,
+        status: record.status,
+        session: session._id,
+        flags: record.flags,
+        checkedOutAt: record.checkedOutAt,
+        minutesPresent: record.minutesPresent
+      }
+    }
+  });
+};
 
 // Record attendance via QR code scan
 const recordAttendance = async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { qrCodeData } = req.body;
     
     if (!qrCodeData) {
@@ -18,102 +348,191 @@ const recordAttendance = async (req, res) => {
       });
     }
 
-    let qrData;
-    try {
-      qrData = JSON.parse(qrCodeData);
-    } catch (error) {
+    // Find the session the QR code claims to belong to
+    const sessionId = decodeQRCodeSession(qrCodeData);
+    if (!sessionId || !mongoose.isValidObjectId(sessionId)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid QR code format'
+        message: 'Invalid attendance QR code'
       });
     }
 
-    // Validate QR code structure
-    if (!qrData.courseId || !qrData.courseCode || qrData.type !== 'course_attendance') {
+    const session = await AttendanceSession.findById(sessionId).select('+qrSecret');
+    if (!session) {
       return res.status(400).json({
         success: false,
         message: 'Invalid attendance QR code'
       });
     }
 
-    // Find the course
-    const course = await Course.findById(qrData.courseId)
-      .populate('professor', 'name email');
-
-    if (!course) {
-      return res.status(404).json({
+    // Verify signature and expiry before trusting anything in the payload
+    try {
+      verifyQRCodeData(qrCodeData, session);
+    } catch (verifyError) {
+      return res.status(400).json({
         success: false,
-        message: 'Course not found'
+        message: verifyError.message
       });
     }
 
-    // Check if course is active and published
-    if (!course.isActive || !course.isPublished) {
+    await checkInToSession(req, res, session, 'qr');
+
+  } catch (error) {
+    console.error('Record attendance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record attendance',
+      error: error.message
+    });
+  }
+};
+
+// Sync QR scans queued on the device while it was offline (Student only)
+const recordAttendanceBatch = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Course is not available for attendance'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    // Check if user is enrolled in the course
-    const enrollment = course.enrolledStudents.find(
-      enrollment => enrollment.student.toString() === req.user._id.toString()
-    );
+    const { scans, deviceId } = req.body;
+    const now = Date.now();
+    const syncWindowMs = (parseInt(process.env.ATTENDANCE_OFFLINE_SYNC_MINUTES) || 15) * 60 * 1000;
 
-    if (!enrollment || enrollment.status !== 'enrolled') {
-      return res.status(403).json({
-        success: false,
-        message: 'You are not enrolled in this course'
+    const results = [];
+    for (const [index, scan] of scans.entries()) {
+      const refuse = (statusCode, message) => results.push({ index, success: false, statusCode, message });
+
+      const sessionId = decodeQRCodeSession(scan.qrCodeData);
+      const session = sessionId && mongoose.isValidObjectId(sessionId)
+        ? await AttendanceSession.findById(sessionId).select('+qrSecret')
+        : null;
+      if (!session) {
+        refuse(400, 'Invalid attendance QR code');
+        continue;
+      }
+
+      // Freshness is judged by when the batch arrives, so a photo of the code
+      // cannot be passed on and synced long after the lecture
+      if (now > session.closesAt.getTime() + syncWindowMs) {
+        refuse(400, 'Offline scans for this session can no longer be synced');
+        continue;
+      }
+
+      // The code has expired by now, but must still be a genuine code of this session
+      let payload;
+      try {
+        payload = verifyQRCodeData(scan.qrCodeData, session, null);
+      } catch (verifyError) {
+        refuse(400, verifyError.message);
+        continue;
+      }
+
+      // Device clocks cannot be trusted: the scan is timed by when the server signed the code
+      const result = await checkInStudent(req.user, session, {
+        method: 'qr',
+        location: scan.location,
+        deviceId,
+        scannedAt: new Date(payload.iat * 1000)
       });
-    }
+      if (!result.record) {
+        refuse(result.statusCode, result.message);
+        continue;
+      }
 
-    // Check if attendance was already recorded for today
-    const today = new Date().toDateString();
-    const attendanceKey = `${course._id}_${req.user._id}_${today}`;
-    
-    if (attendanceRecords.has(attendanceKey)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Attendance already recorded for today'
+      results.push({
+        index,
+        success: true,
+        statusCode: 200,
+        message: `${result.checkedOut ? 'Check-out' : 'Attendance'} recorded; it counts once course staff approve it`,
+        attendance: {
+          course: {
+            _id: result.course._id,
+            title: result.course.title,
+            courseCode: result.course.courseCode
+          },
+          date: result.record.recordedAt,
+          status: result.record.status,
+          session: session._id,
+          flags: result.record.flags,
+          checkedOutAt: result.record.checkedOutAt,
+          minutesPresent: result.record.minutesPresent,
+          syncReview: result.record.syncReview.status
+        }
       });
     }
 
-    // Record attendance
-    const attendanceRecord = {
-      courseId: course._id,
-      studentId: req.user._id,
-      date: new Date(),
-      status: 'present',
-      qrSessionId: qrData.sessionId,
-      recordedAt: new Date()
-    };
-
-    attendanceRecords.set(attendanceKey, attendanceRecord);
+    const recorded = results.filter(result => result.success).length;
 
     res.json({
       success: true,
-      message: 'Attendance recorded successfully',
+      message: `${recorded} of ${scans.length} scans recorded`,
       data: {
-        course: {
-          _id: course._id,
-          title: course.title,
-          courseCode: course.courseCode,
-          professor: course.professor.name
-        },
-        student: {
-          _id: req.user._id,
-          name: req.user.name,
-          studentId: req.user.studentId
-        },
-        attendance: {
-          date: attendanceRecord.date,
-          status: attendanceRecord.status
+        results,
+        summary: {
+          total: scans.length,
+          recorded,
+          failed: scans.length - recorded
         }
       }
     });
 
   } catch (error) {
-    console.error('Record attendance error:', error);
+    console.error('Record attendance batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sync attendance scans',
+      error: error.message
+    });
+  }
+};
+
+// Record attendance with the session's numeric check-in code
+const recordAttendanceCode = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { courseId, code } = req.body;
+
+    // Students in sections check in to their own section's session
+    const course = await Course.findById(courseId)
+      .select({ enrolledStudents: { $elemMatch: { student: req.user._id, status: 'enrolled' } } });
+    const enrollment = course && course.enrolledStudents[0];
+
+    const session = await AttendanceSession.findOpenForCourse(courseId, {
+      section: enrollment ? enrollment.section : undefined
+    }).select('+qrSecret');
+    if (!session) {
+      return res.status(400).json({
+        success: false,
+        message: 'There is no open attendance session for this course'
+      });
+    }
+
+    if (!verifyCheckInCode(code, session)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired check-in code. Please enter the code currently displayed'
+      });
+    }
+
+    await checkInToSession(req, res, session, 'code');
+
+  } catch (error) {
+    console.error('Record attendance code error:', error);
     res.status(500).json({
       success: false,
       message: 'Failed to record attendance',
@@ -122,7 +541,7 @@ const recordAttendance = async (req, res) => {
   }
 };
 
-// Generate QR code for course attendance (Professor only)
+// Generate QR code for course attendance (Course staff)
 const generateAttendanceQR = async (req, res) => {
   try {
     const { id } = req.params;
@@ -135,28 +554,63 @@ const generateAttendanceQR = async (req, res) => {
       });
     }
 
-    // Check if user is the professor of this course
-    if (course.professor.toString() !== req.user._id.toString()) {
+    // Check if user teaches this course
+    if (!course.isStaff(req.user._id)) {
       return res.status(403).json({
         success: false,
-        message: 'You can only generate QR codes for your own courses'
+        message: 'You can only generate QR codes for courses you teach'
       });
     }
 
-    // Generate QR code data
-    const qrCodeData = generateQRCodeData(course);
+    // Courses taught in sections can run a session for one section
+    const filter = findSectionFilter(req, res, course);
+    if (!filter) return;
+    const sectionId = filter.section ? filter.section._id : undefined;
+
+    // Reuse the session that is currently open, or open a new one
+    let session = await AttendanceSession.findOpenForCourse(course._id, { section: sectionId })
+      .select('+qrSecret');
+    if (!session) {
+      try {
+        session = await AttendanceSession.openForCourse(course, req.user._id, { section: sectionId });
+      } catch (openError) {
+        return res.status(400).json({
+          success: false,
+          message: openError.message
+        });
+      }
+    }
+
+    // Generate a signed QR code for the current rotation step
+    const { token, validUntil, refreshAt } = generateQRCodeData(course, session);
+    const checkInCode = generateCheckInCode(session);
 
     res.json({
       success: true,
       message: 'QR code generated successfully',
       data: {
-        qrCodeData,
+        qrCodeData: token,
         course: {
           _id: course._id,
           title: course.title,
           courseCode: course.courseCode
         },
-        validUntil: new Date(Date.now() + 30 * 60 * 1000) // Valid for 30 minutes
+        session: {
+          _id: session._id,
+          section: session.section,
+          opensAt: session.opensAt,
+          closesAt: session.closesAt,
+          state: session.currentState
+        },
+        validUntil,
+        refreshAt,
+        rotationSeconds: getQRRotationSeconds(),
+        checkInCode: {
+          code: checkInCode.code,
+          validUntil: checkInCode.validUntil,
+          refreshAt: checkInCode.refreshAt,
+          rotationSeconds: getCheckInCodeRotationSeconds()
+        }
       }
     });
 
@@ -170,11 +624,21 @@ const generateAttendanceQR = async (req, res) => {
   }
 };
 
-// Get attendance records for a course (Professor only)
+// Get attendance records for a course (Course staff)
 const getCourseAttendance = async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { id } = req.params;
-    const { date, studentId } = req.query;
+    const { date, studentId, sessionId, includeDeleted, syncReview } = req.query;
 
     const course = await Course.findById(id)
       .populate('enrolledStudents.student', 'name email studentId');
@@ -186,40 +650,77 @@ const getCourseAttendance = async (req, res) => {
       });
     }
 
-    // Check if user is the professor of this course
-    if (course.professor.toString() !== req.user._id.toString()) {
+    // Check if user teaches this course
+    if (!course.isStaff(req.user._id)) {
       return res.status(403).json({
         success: false,
-        message: 'You can only view attendance for your own courses'
+        message: 'You can only view attendance for courses you teach'
       });
     }
 
-    // Filter attendance records
-    const courseAttendance = [];
-    for (const [key, record] of attendanceRecords.entries()) {
-      if (record.courseId.toString() === course._id.toString()) {
-        // Apply filters
-        if (date && record.date.toDateString() !== new Date(date).toDateString()) {
-          continue;
-        }
-        if (studentId && record.studentId.toString() !== studentId) {
-          continue;
-        }
-        
-        // Find student info
-        const enrollment = course.enrolledStudents.find(
-          e => e.student._id.toString() === record.studentId.toString()
-        );
-        
-        if (enrollment) {
-          courseAttendance.push({
-            ...record,
-            student: enrollment.student
-          });
-        }
-      }
+    const filter = findSectionFilter(req, res, course);
+    if (!filter) return;
+    const { section } = filter;
+
+    // Build query for the course's attendance records, or those of one section's students
+    const enrolledStudentIds = course.enrolledStudents
+      .filter(e => e.student)
+      .filter(e => !section || (e.section && e.section.equals(section._id)))
+      .map(e => e.student._id);
+    const query = {
+      course: course._id,
+      student: { $in: enrolledStudentIds }
+    };
+
+    if (includeDeleted !== 'true') {
+      query.isDeleted = { $ne: true };
+    }
+
+    if (date) {
+      const startOfDay = new Date(date);
+      startOfDay.setHours(0, 0, 0, 0);
+      const endOfDay = new Date(startOfDay);
+      endOfDay.setDate(endOfDay.getDate() + 1);
+      query.recordedAt = { $gte: startOfDay, $lt: endOfDay };
+    }
+
+    if (studentId) {
+      query.student = { $in: enrolledStudentIds.filter(id => id.toString() === studentId) };
     }
 
+    if (sessionId) {
+      query.session = sessionId;
+    }
+
+    if (syncReview) {
+      query['syncReview.status'] = syncReview;
+    }
+
+    const records = await Attendance.find(query)
+      .populate('student', 'name email studentId')
+      .populate('history.changedBy', 'name role')
+      .sort({ recordedAt: 1 });
+
+    const courseAttendance = records
+      .filter(record => record.student)
+      .map(record => ({
+        ...formatAttendanceRecord(record),
+        student: record.student,
+        location: record.location,
+        distanceMeters: record.distanceMeters,
+        deviceId: record.deviceId,
+        flags: record.flags,
+        syncedAt: record.syncedAt,
+        checkOutSyncedAt: record.checkOutSyncedAt,
+        syncReviewedBy: record.syncReview.reviewedBy,
+        syncReviewedAt: record.syncReview.reviewedAt,
+        checkedOutAt: record.checkedOutAt,
+        minutesPresent: record.minutesPresent,
+        presencePercent: record.presencePercent,
+        isDeleted: record.isDeleted,
+        history: record.history
+      }));
+
     // Group by date and student
     const attendanceByDate = {};
     courseAttendance.forEach(record => {
@@ -238,11 +739,20 @@ const getCourseAttendance = async (req, res) => {
           title: course.title,
           courseCode: course.courseCode
         },
+        section: section ? { _id: section._id, code: section.code } : null,
         attendance: attendanceByDate,
         summary: {
           totalRecords: courseAttendance.length,
+          flaggedRecords: courseAttendance.filter(record => record.flags.length > 0).length,
+          pendingReview: courseAttendance.filter(record => record.syncReview === 'pending').length,
           uniqueDates: Object.keys(attendanceByDate).length,
-          enrolledStudents: course.enrolledStudents.length
+          totalSessions: await AttendanceSession.countDocuments({
+            course: course._id,
+            ...(section && { section: { $in: [null, section._id] } }),
+            state: { $ne: 'cancelled' },
+            opensAt: { $lte: new Date() }
+          }),
+          enrolledStudents: enrolledStudentIds.length
         }
       }
     });
@@ -260,39 +770,44 @@ const getCourseAttendance = async (req, res) => {
 // Get student's attendance history
 const getStudentAttendance = async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { courseId } = req.query;
     const studentId = req.user._id;
 
     // Build query for student's attendance
-    const studentAttendance = [];
-    for (const [key, record] of attendanceRecords.entries()) {
-      if (record.studentId.toString() === studentId.toString()) {
-        // Filter by course if specified
-        if (courseId && record.courseId.toString() !== courseId) {
-          continue;
-        }
-        
-        // Get course info
-        const course = await Course.findById(record.courseId)
-          .select('title courseCode professor')
-          .populate('professor', 'name');
-        
-        if (course) {
-          studentAttendance.push({
-            ...record,
-            course: {
-              _id: course._id,
-              title: course.title,
-              courseCode: course.courseCode,
-              professor: course.professor.name
-            }
-          });
-        }
-      }
+    const query = { student: studentId, isDeleted: { $ne: true } };
+    if (courseId) {
+      query.course = courseId;
     }
 
-    // Sort by date (most recent first)
-    studentAttendance.sort((a, b) => new Date(b.date) - new Date(a.date));
+    const records = await Attendance.find(query)
+      .populate({
+        path: 'course',
+        select: 'title courseCode professor',
+        populate: { path: 'professor', select: 'name' }
+      })
+      .sort({ recordedAt: -1 });
+
+    const studentAttendance = records
+      .filter(record => record.course)
+      .map(record => ({
+        ...formatAttendanceRecord(record),
+        course: {
+          _id: record.course._id,
+          title: record.course.title,
+          courseCode: record.course.courseCode,
+          professor: record.course.professor ? record.course.professor.name : null
+        }
+      }));
 
     res.json({
       success: true,
@@ -315,9 +830,19 @@ const getStudentAttendance = async (req, res) => {
   }
 };
 
-// Get attendance statistics for a course (Professor only)
+// Get attendance statistics for a course (Course staff)
 const getAttendanceStats = async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { id } = req.params;
     const { startDate, endDate } = req.query;
 
@@ -331,60 +856,116 @@ const getAttendanceStats = async (req, res) => {
       });
     }
 
-    // Check if user is the professor of this course
-    if (course.professor.toString() !== req.user._id.toString()) {
+    // Check if user teaches this course
+    if (!course.isStaff(req.user._id)) {
       return res.status(403).json({
         success: false,
-        message: 'You can only view statistics for your own courses'
+        message: 'You can only view statistics for courses you teach'
       });
     }
 
-    // Filter attendance records for this course
-    const courseAttendance = [];
-    for (const [key, record] of attendanceRecords.entries()) {
-      if (record.courseId.toString() === course._id.toString()) {
-        const recordDate = new Date(record.date);
-        
-        // Apply date filters
-        if (startDate && recordDate < new Date(startDate)) continue;
-        if (endDate && recordDate > new Date(endDate)) continue;
-        
-        courseAttendance.push(record);
-      }
-    }
+    const filter = findSectionFilter(req, res, course);
+    if (!filter) return;
+    const { section } = filter;
+
+    // Only sessions that have been held and closed count towards the rate
+    const sessions = await AttendanceSession.findHeld(course._id, {
+      startDate,
+      endDate,
+      section: section ? section._id : undefined
+    });
+    const sessionIds = sessions.map(session => session._id);
+
+    const minimumPresence = course.attendanceSettings ? course.attendanceSettings.minimumPresencePercent || 0 : 0;
+    const enrolledStudents = course.enrolledStudents
+      .filter(e => e.status === 'enrolled')
+      .filter(e => !section || (e.section && e.section.equals(section._id)));
+
+    // Sessions for the whole course also hold records of other sections' students
+    const sectionStudentIds = section ? enrolledStudents.filter(e => e.student).map(e => e.student._id) : undefined;
+    const aggregation = await Attendance.summarize(course._id, sessionIds, {
+      minimumPresence,
+      studentIds: sectionStudentIds
+    });
 
     // Calculate statistics
-    const totalSessions = [...new Set(courseAttendance.map(r => r.date.toDateString()))].length;
-    const enrolledStudents = course.enrolledStudents.filter(e => e.status === 'enrolled');
+    const totalSessions = sessions.length;
+    const statusCounts = { present: 0, late: 0, absent: 0, excused: 0 };
+    aggregation.byStatus.forEach(entry => {
+      statusCounts[entry._id] = entry.count;
+    });
+    const totalAttendanceRecords = Object.values(statusCounts).reduce((sum, count) => sum + count, 0);
+
+    // Excuse requests by review status
+    const excuseMatch = { course: course._id };
+    if (startDate || endDate) excuseMatch.session = { $in: sessionIds };
+    if (section) excuseMatch.student = { $in: sectionStudentIds };
+    const excuseCounts = { pending: 0, approved: 0, rejected: 0 };
+    const excuseAggregation = await ExcuseRequest.aggregate([
+      { $match: excuseMatch },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    excuseAggregation.forEach(entry => {
+      excuseCounts[entry._id] = entry.count;
+    });
+    const attendanceByStudent = new Map(
+      aggregation.byStudent.map(entry => [entry._id.toString(), entry])
+    );
     
-    const studentStats = enrolledStudents.map(enrollment => {
-      const studentAttendance = courseAttendance.filter(
-        r => r.studentId.toString() === enrollment.student._id.toString()
-      );
-      
-      const attendanceRate = totalSessions > 0 ? (studentAttendance.length / totalSessions) * 100 : 0;
+    const studentStats = enrolledStudents.filter(e => e.student).map(enrollment => {
+      const studentAttendance = attendanceByStudent.get(enrollment.student._id.toString());
+      const counts = {
+        present: studentAttendance ? studentAttendance.present : 0,
+        late: studentAttendance ? studentAttendance.late : 0,
+        absent: studentAttendance ? studentAttendance.absent : 0,
+        excused: studentAttendance ? studentAttendance.excused : 0
+      };
       
+      const enrollmentSection = course.getSection(enrollment.section);
+
       return {
         student: enrollment.student,
-        attendedSessions: studentAttendance.length,
-        totalSessions,
-        attendanceRate: Math.round(attendanceRate * 100) / 100,
-        lastAttendance: studentAttendance.length > 0 
-          ? Math.max(...studentAttendance.map(r => new Date(r.date)))
-          : null
+        section: enrollmentSection ? enrollmentSection.code : null,
+        attendedSessions: counts.present + counts.late,
+        ...counts,
+        shortStays: studentAttendance ? studentAttendance.shortStays : 0,
+        minutesPresent: studentAttendance ? studentAttendance.minutesPresent : 0,
+        // Students only attend the sessions of their own section
+        totalSessions: sessions.filter(session => session.isForSection(enrollment.section)).length,
+        attendanceRate: calculateAttendanceRate(counts),
+        lastAttendance: studentAttendance ? studentAttendance.lastAttendance : null
       };
     });
 
+    const averageRate = (stats) => stats.length > 0
+      ? Math.round((stats.reduce((sum, s) => sum + s.attendanceRate, 0) / stats.length) * 100) / 100
+      : 0;
+
     // Overall statistics
     const overallStats = {
       totalEnrolledStudents: enrolledStudents.length,
       totalSessions,
-      averageAttendanceRate: studentStats.length > 0 
-        ? Math.round((studentStats.reduce((sum, s) => sum + s.attendanceRate, 0) / studentStats.length) * 100) / 100
-        : 0,
-      totalAttendanceRecords: courseAttendance.length
+      averageAttendanceRate: averageRate(studentStats),
+      totalAttendanceRecords,
+      statusCounts,
+      minimumPresencePercent: minimumPresence,
+      shortStays: studentStats.reduce((sum, s) => sum + s.shortStays, 0),
+      excuseRequests: excuseCounts
     };
 
+    // The whole course is also broken down by section
+    const sectionStats = section ? [] : course.sections.map(courseSection => {
+      const stats = studentStats.filter(s => s.section === courseSection.code);
+      return {
+        _id: courseSection._id,
+        code: courseSection.code,
+        isActive: courseSection.isActive,
+        totalEnrolledStudents: stats.length,
+        totalSessions: sessions.filter(session => session.isForSection(courseSection._id)).length,
+        averageAttendanceRate: averageRate(stats)
+      };
+    });
+
     res.json({
       success: true,
       data: {
@@ -393,7 +974,9 @@ const getAttendanceStats = async (req, res) => {
           title: course.title,
           courseCode: course.courseCode
         },
+        section: section ? { _id: section._id, code: section.code } : null,
         overallStats,
+        sectionStats,
         studentStats,
         dateRange: {
           startDate: startDate || 'All time',
@@ -412,10 +995,575 @@ const getAttendanceStats = async (req, res) => {
   }
 };
 
+// Export a course's attendance as a roster-by-session spreadsheet (Course staff)
+const exportCourseAttendance = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { format = 'csv', date } = req.query;
+    let { startDate, endDate } = req.query;
+
+    const course = await findOwnCourse(req, res, 'export attendance');
+    if (!course) return;
+
+    await course.populate('enrolledStudents.student', 'name email studentId');
+
+    // A single date narrows the export to that day
+    if (date) {
+      const startOfDay = new Date(date);
+      startOfDay.setHours(0, 0, 0, 0);
+      const endOfDay = new Date(startOfDay);
+      endOfDay.setDate(endOfDay.getDate() + 1);
+      startDate = startOfDay;
+      endDate = new Date(endOfDay.getTime() - 1);
+    }
+
+    const filter = findSectionFilter(req, res, course);
+    if (!filter) return;
+    const { section } = filter;
+
+    const sessions = await AttendanceSession.findHeld(course._id, {
+      startDate,
+      endDate,
+      section: section ? section._id : undefined
+    });
+    const records = await Attendance.find({
+      session: { $in: sessions.map(session => session._id) },
+      isDeleted: { $ne: true },
+      'syncReview.status': { $ne: 'pending' }
+    }).select('student session status presencePercent');
+
+    const students = course.enrolledStudents
+      .filter(enrollment => enrollment.status === 'enrolled' && enrollment.student)
+      .filter(enrollment => !section || (enrollment.section && enrollment.section.equals(section._id)))
+      .map(enrollment => enrollment.student)
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    const matrix = buildAttendanceMatrix({
+      students,
+      sessions,
+      records,
+      sectionCodes: new Map(course.sections.map(courseSection => [courseSection._id.toString(), courseSection.code])),
+      minimumPresence: course.attendanceSettings ? course.attendanceSettings.minimumPresencePercent || 0 : 0
+    });
+    const filename = `${course.courseCode}${section ? `-${section.code}` : ''}-attendance-${new Date().toISOString().slice(0, 10)}`;
+
+    if (format === 'xlsx') {
+      const buffer = await matrixToXLSX(matrix, course.courseCode);
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+      return res.send(Buffer.from(buffer));
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    res.send(matrixToCSV(matrix));
+
+  } catch (error) {
+    console.error('Export course attendance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export attendance',
+      error: error.message
+    });
+  }
+};
+
+// Get suspicious check-in patterns for a course (Course staff)
+const getAttendanceAnomalies = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { sessionId, startDate, endDate } = req.query;
+    const burstSize = parseInt(req.query.burstSize) || 5;
+    const burstWindowSeconds = parseInt(req.query.burstWindowSeconds) || 5;
+
+    const course = await findOwnCourse(req, res, 'view attendance anomalies');
+    if (!course) return;
+
+    // Only student check-ins carry device information
+    const match = { course: course._id, method: { $in: ['qr', 'code'] }, isDeleted: { $ne: true } };
+    if (sessionId) match.session = new mongoose.Types.ObjectId(sessionId);
+    if (startDate || endDate) {
+      match.recordedAt = {};
+      if (startDate) match.recordedAt.$gte = new Date(startDate);
+      if (endDate) match.recordedAt.$lte = new Date(endDate);
+    }
+    const deviceMatch = { ...match, deviceId: { $type: 'string' } };
+
+    // Same device, several students
+    const sharedDevices = await Attendance.aggregate([
+      { $match: deviceMatch },
+      {
+        $group: {
+          _id: '$deviceId',
+          students: { $addToSet: '$student' },
+          sessions: { $addToSet: '$session' },
+          scans: { $sum: 1 },
+          lastSeen: { $max: '$recordedAt' }
+        }
+      },
+      { $match: { 'students.1': { $exists: true } } },
+      { $sort: { scans: -1 } }
+    ]);
+
+    // Same student, several devices
+    const multiDeviceStudents = await Attendance.aggregate([
+      { $match: deviceMatch },
+      {
+        $group: {
+          _id: '$student',
+          devices: { $addToSet: '$deviceId' },
+          scans: { $sum: 1 },
+          lastSeen: { $max: '$recordedAt' }
+        }
+      },
+      { $match: { 'devices.1': { $exists: true } } },
+      { $sort: { scans: -1 } }
+    ]);
+
+    // Many scans within a few seconds in the same session
+    const scans = await Attendance.find(match)
+      .select('student session deviceId recordedAt')
+      .sort({ session: 1, recordedAt: 1 });
+    const scansBySession = new Map();
+    scans.forEach(scan => {
+      const key = scan.session.toString();
+      if (!scansBySession.has(key)) scansBySession.set(key, []);
+      scansBySession.get(key).push(scan);
+    });
+    const rapidScans = [];
+    for (const [session, sessionScans] of scansBySession) {
+      findScanBursts(sessionScans, burstSize, burstWindowSeconds).forEach(burst => {
+        rapidScans.push({
+          session,
+          startedAt: burst[0].recordedAt,
+          endedAt: burst[burst.length - 1].recordedAt,
+          scans: burst.length,
+          students: burst.map(scan => scan.student),
+          devices: [...new Set(burst.map(scan => scan.deviceId).filter(Boolean))].length
+        });
+      });
+    }
+
+    // Replace student IDs with names for display
+    const studentIds = new Set();
+    sharedDevices.forEach(entry => entry.students.forEach(id => studentIds.add(id.toString())));
+    multiDeviceStudents.forEach(entry => studentIds.add(entry._id.toString()));
+    rapidScans.forEach(entry => entry.students.forEach(id => studentIds.add(id.toString())));
+    const students = await User.find({ _id: { $in: [...studentIds] } }).select('name email studentId');
+    const studentById = new Map(students.map(student => [student._id.toString(), student]));
+    const describeStudent = (id) => studentById.get(id.toString()) || { _id: id };
+
+    res.json({
+      success: true,
+      data: {
+        course: {
+          _id: course._id,
+          title: course.title,
+          courseCode: course.courseCode
+        },
+        anomalies: {
+          sharedDevices: sharedDevices.map(entry => ({
+            deviceId: entry._id,
+            students: entry.students.map(describeStudent),
+            sessions: entry.sessions.length,
+            scans: entry.scans,
+            lastSeen: entry.lastSeen
+          })),
+          multiDeviceStudents: multiDeviceStudents.map(entry => ({
+            student: describeStudent(entry._id),
+            devices: entry.devices,
+            scans: entry.scans,
+            lastSeen: entry.lastSeen
+          })),
+          rapidScans: rapidScans.map(entry => ({
+            ...entry,
+            students: entry.students.map(describeStudent)
+          }))
+        },
+        summary: {
+          sharedDevices: sharedDevices.length,
+          multiDeviceStudents: multiDeviceStudents.length,
+          rapidScans: rapidScans.length
+        },
+        thresholds: {
+          burstSize,
+          burstWindowSeconds
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get attendance anomalies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get attendance anomalies',
+      error: error.message
+    });
+  }
+};
+
+// Create or overwrite attendance records by hand (Course staff)
+const createAttendanceRecords = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { sessionId, reason } = req.body;
+    const entries = req.body.records || [{ studentId: req.body.studentId, status: req.body.status }];
+
+    if (entries.some(entry => !entry.studentId || !MANUAL_STATUSES.includes(entry.status))) {
+      return res.status(400).json({
+        success: false,
+        message: `Each record needs a studentId and a status (${MANUAL_STATUSES.join(', ')})`
+      });
+    }
+
+    const studentIds = entries.map(entry => entry.studentId.toString());
+    if (new Set(studentIds).size !== studentIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each student can only appear once per request'
+      });
+    }
+
+    const course = await findOwnCourse(req, res, 'edit attendance');
+    if (!course) return;
+
+    const session = await AttendanceSession.findById(sessionId);
+    if (!session || session.course.toString() !== course._id.toString()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attendance session not found for this course'
+      });
+    }
+
+    if (session.opensAt > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot record attendance for a session that has not started'
+      });
+    }
+
+    if (session.state === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot record attendance for a cancelled meeting'
+      });
+    }
+
+    // Every student must be enrolled in the course
+    const enrolledIds = new Set(
+      course.enrolledStudents
+        .filter(enrollment => enrollment.status === 'enrolled')
+        .map(enrollment => enrollment.student.toString())
+    );
+    const notEnrolled = studentIds.filter(studentId => !enrolledIds.has(studentId));
+    if (notEnrolled.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some students are not enrolled in this course',
+        notEnrolled
+      });
+    }
+
+    const existingRecords = await Attendance.find({ session: session._id, student: { $in: studentIds } });
+    const recordByStudent = new Map(existingRecords.map(record => [record.student.toString(), record]));
+
+    const records = [];
+    const changes = [];
+    for (const entry of entries) {
+      const record = recordByStudent.get(entry.studentId.toString()) || new Attendance({
+        course: course._id,
+        student: entry.studentId,
+        session: session._id,
+        method: 'manual',
+        recordedAt: new Date()
+      });
+      const action = record.isNew || record.isDeleted ? 'create' : 'update';
+
+      record.applyChange(action, { status: entry.status, changedBy: req.user._id, reason });
+      await record.save();
+      records.push(record);
+      changes.push({ record, action });
+    }
+    attendancePolicyService.refreshStandingsInBackground(course._id);
+
+    // Update live roster views; a failure here must not affect the change
+    attendanceStream.publishRecordChanges(changes)
+      .catch(error => console.error('Attendance stream error:', error));
+
+    res.status(201).json({
+      success: true,
+      message: `${records.length} attendance record(s) saved successfully`,
+      data: {
+        records: records.map(record => ({
+          ...formatAttendanceRecord(record),
+          history: record.history
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Create attendance records error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save attendance records',
+      error: error.message
+    });
+  }
+};
+
+// Change the status of one or more attendance records (Course staff)
+const updateAttendanceRecords = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { reason } = req.body;
+    const updates = req.params.recordId
+      ? [{ recordId: req.params.recordId, status: req.body.status }]
+      : req.body.updates || [];
+
+    if (updates.length === 0 || updates.some(update => !update.recordId || !MANUAL_STATUSES.includes(update.status))) {
+      return res.status(400).json({
+        success: false,
+        message: `Each update needs a recordId and a status (${MANUAL_STATUSES.join(', ')})`
+      });
+    }
+
+    const course = await findOwnCourse(req, res, 'edit attendance');
+    if (!course) return;
+
+    const recordIds = updates.map(update => update.recordId.toString());
+    const records = await Attendance.find({ _id: { $in: recordIds }, course: course._id, isDeleted: { $ne: true } });
+    if (records.length !== new Set(recordIds).size) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attendance record not found for this course'
+      });
+    }
+
+    const recordById = new Map(records.map(record => [record._id.toString(), record]));
+    for (const update of updates) {
+      const record = recordById.get(update.recordId.toString());
+      record.applyChange('update', { status: update.status, changedBy: req.user._id, reason });
+      await record.save();
+    }
+    attendancePolicyService.refreshStandingsInBackground(course._id);
+
+    // Update live roster views; a failure here must not affect the change
+    attendanceStream.publishRecordChanges(records.map(record => ({ record, action: 'update' })))
+      .catch(error => console.error('Attendance stream error:', error));
+
+    res.json({
+      success: true,
+      message: `${records.length} attendance record(s) updated successfully`,
+      data: {
+        records: records.map(record => ({
+          ...formatAttendanceRecord(record),
+          history: record.history
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Update attendance records error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update attendance records',
+      error: error.message
+    });
+  }
+};
+
+// Approve or reject offline scans waiting for review (Course staff)
+const reviewOfflineScans = (decision) => async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { reason } = req.body;
+    const recordIds = req.params.recordId ? [req.params.recordId] : req.body.recordIds || [];
+
+    if (recordIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one record ID is required'
+      });
+    }
+
+    const course = await findOwnCourse(req, res, 'review offline scans');
+    if (!course) return;
+
+    const records = await Attendance.find({ _id: { $in: recordIds }, course: course._id, isDeleted: { $ne: true } });
+    if (records.length !== new Set(recordIds.map(String)).size) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attendance record not found for this course'
+      });
+    }
+
+    const notPending = records.filter(record => record.syncReview.status !== 'pending');
+    if (notPending.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some records have no offline scan waiting for review',
+        notPending: notPending.map(record => record._id)
+      });
+    }
+
+    // Rejected check-outs are settled again against their session
+    const sessions = await AttendanceSession.find({ _id: { $in: records.map(record => record.session) } });
+    const sessionById = new Map(sessions.map(session => [session._id.toString(), session]));
+
+    for (const record of records) {
+      record.reviewSync(decision, {
+        session: sessionById.get(record.session.toString()),
+        reviewedBy: req.user._id,
+        reason: `Offline scan rejected: ${reason}`
+      });
+      await record.save();
+    }
+    attendancePolicyService.refreshStandingsInBackground(course._id);
+
+    // Update live roster views; a failure here must not affect the review
+    attendanceStream.publishRecordChanges(records.map(record => ({ record, action: 'update' })))
+      .catch(error => console.error('Attendance stream error:', error));
+
+    res.json({
+      success: true,
+      message: `${records.length} offline scan(s) ${decision} successfully`,
+      data: {
+        records: records.map(record => ({
+          ...formatAttendanceRecord(record),
+          checkedOutAt: record.checkedOutAt,
+          minutesPresent: record.minutesPresent,
+          history: record.history
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Review offline scans error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review offline scans',
+      error: error.message
+    });
+  }
+};
+
+// Delete one or more attendance records, keeping their history (Course staff)
+const deleteAttendanceRecords = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { reason } = req.body;
+    const recordIds = req.params.recordId ? [req.params.recordId] : req.body.recordIds || [];
+
+    if (recordIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one record ID is required'
+      });
+    }
+
+    const course = await findOwnCourse(req, res, 'edit attendance');
+    if (!course) return;
+
+    const records = await Attendance.find({ _id: { $in: recordIds }, course: course._id, isDeleted: { $ne: true } });
+    if (records.length !== new Set(recordIds.map(String)).size) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attendance record not found for this course'
+      });
+    }
+
+    for (const record of records) {
+      record.applyChange('delete', { changedBy: req.user._id, reason });
+      await record.save();
+    }
+    attendancePolicyService.refreshStandingsInBackground(course._id);
+
+    // Update live roster views; a failure here must not affect the change
+    attendanceStream.publishRecordChanges(records.map(record => ({ record, action: 'delete' })))
+      .catch(error => console.error('Attendance stream error:', error));
+
+    res.json({
+      success: true,
+      message: `${records.length} attendance record(s) deleted successfully`
+    });
+
+  } catch (error) {
+    console.error('Delete attendance records error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete attendance records',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   recordAttendance,
+  recordAttendanceBatch,
+  recordAttendanceCode,
   generateAttendanceQR,
   getCourseAttendance,
   getStudentAttendance,
-  getAttendanceStats
+  getAttendanceStats,
+  exportCourseAttendance,
+  getAttendanceAnomalies,
+  createAttendanceRecords,
+  updateAttendanceRecords,
+  approveOfflineScans: reviewOfflineScans('approved'),
+  rejectOfflineScans: reviewOfflineScans('rejected'),
+  deleteAttendanceRecords
 };
@@ -0,0 +1,399 @@
+const path = require('path');
+const Course = require('../models/Course');
+const Attendance = require('../models/Attendance');
+const AttendanceSession = require('../models/AttendanceSession');
+const ExcuseRequest = require('../models/ExcuseRequest');
+const { validationResult } = require('express-validator');
+const { excuseUploadsDir, discardUpload } = require('../middleware/upload');
+const AttendancePolicyService = require('../services/attendancePolicyService');
+
+const attendancePolicyService = new AttendancePolicyService();
+
+// Shape an excuse request for API responses (the stored filename stays private)
+const formatExcuse = (excuse) => ({
+  _id: excuse._id,
+  student: excuse.student,
+  course: excuse.course,
+  session: excuse.session,
+  reason: excuse.reason,
+  document: excuse.hasDocument
+    ? {
+      originalName: excuse.document.originalName,
+      mimetype: excuse.document.mimetype,
+      size: excuse.document.size
+    }
+    : null,
+  status: excuse.status,
+  reviewedBy: excuse.reviewedBy,
+  reviewedAt: excuse.reviewedAt,
+  reviewNote: excuse.reviewNote,
+  createdAt: excuse.createdAt
+});
+
+// Submit an excuse for a session (Student only)
+const submitExcuse = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      discardUpload(req);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { sessionId, reason } = req.body;
+
+    const session = await AttendanceSession.findById(sessionId);
+    if (!session) {
+      discardUpload(req);
+      return res.status(404).json({
+        success: false,
+        message: 'Attendance session not found'
+      });
+    }
+
+    if (session.state === 'cancelled') {
+      discardUpload(req);
+      return res.status(400).json({
+        success: false,
+        message: 'This meeting has been cancelled, so there is nothing to excuse'
+      });
+    }
+
+    // An approved excuse would block the student's own check-in, so it has to wait for the session
+    if (session.opensAt > new Date()) {
+      discardUpload(req);
+      return res.status(400).json({
+        success: false,
+        message: 'You can only submit an excuse for a session that has started'
+      });
+    }
+
+    // Check if user is enrolled in the session's course
+    const course = await Course.findById(session.course).select('enrolledStudents');
+    const enrollment = course && course.enrolledStudents.find(
+      enrollment => enrollment.student.toString() === req.user._id.toString()
+    );
+
+    if (!enrollment || enrollment.status !== 'enrolled') {
+      discardUpload(req);
+      return res.status(403).json({
+        success: false,
+        message: 'You are not enrolled in this course'
+      });
+    }
+
+    if (!session.isForSection(enrollment.section)) {
+      discardUpload(req);
+      return res.status(403).json({
+        success: false,
+        message: 'This session is for another section'
+      });
+    }
+
+    // Nothing to excuse if the student was there
+    const record = await Attendance.findOne({
+      session: session._id,
+      student: req.user._id,
+      isDeleted: { $ne: true }
+    });
+    if (record && ['present', 'excused'].includes(record.status)) {
+      discardUpload(req);
+      return res.status(400).json({
+        success: false,
+        message: `You are already recorded as ${record.status} for this session`
+      });
+    }
+
+    const activeExcuse = await ExcuseRequest.findActive(session._id, req.user._id);
+    if (activeExcuse) {
+      discardUpload(req);
+      return res.status(400).json({
+        success: false,
+        message: `You already have a ${activeExcuse.status} excuse for this session`
+      });
+    }
+
+    const excuse = await ExcuseRequest.create({
+      student: req.user._id,
+      course: session.course,
+      session: session._id,
+      reason,
+      document: req.file
+        ? {
+          filename: req.file.filename,
+          originalName: req.file.originalname,
+          mimetype: req.file.mimetype,
+          size: req.file.size
+        }
+        : undefined
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Excuse request submitted successfully',
+      data: { excuse: formatExcuse(excuse) }
+    });
+
+  } catch (error) {
+    discardUpload(req);
+    console.error('Submit excuse error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit excuse request',
+      error: error.message
+    });
+  }
+};
+
+// Get the current student's excuse requests
+const getMyExcuses = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { courseId, status } = req.query;
+
+    const query = { student: req.user._id };
+    if (courseId) query.course = courseId;
+    if (status) query.status = status;
+
+    const excuses = await ExcuseRequest.find(query)
+      .populate('course', 'title courseCode')
+      .populate('session', 'opensAt closesAt')
+      .populate('reviewedBy', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        excuses: excuses.map(formatExcuse)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get my excuses error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get excuse requests',
+      error: error.message
+    });
+  }
+};
+
+// Get excuse requests for a course (Course staff)
+const getCourseExcuses = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { status, sessionId } = req.query;
+
+    const course = await Course.findById(id).select('professor staff title courseCode');
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    // Check if user teaches this course
+    if (!course.isStaff(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view excuses for courses you teach'
+      });
+    }
+
+    const query = { course: course._id };
+    if (status) query.status = status;
+    if (sessionId) query.session = sessionId;
+
+    const excuses = await ExcuseRequest.find(query)
+      .populate('student', 'name email studentId')
+      .populate('session', 'opensAt closesAt')
+      .populate('reviewedBy', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        course: {
+          _id: course._id,
+          title: course.title,
+          courseCode: course.courseCode
+        },
+        excuses: excuses.map(formatExcuse)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get course excuses error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get excuse requests',
+      error: error.message
+    });
+  }
+};
+
+// Approve or reject an excuse request (Professor or co-instructor)
+const reviewExcuse = (decision) => async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id, excuseId } = req.params;
+    const { note } = req.body;
+
+    const course = await Course.findById(id).select('professor staff');
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    // Teaching assistants can see excuses but only instructors decide on them
+    if (!course.isStaff(req.user._id, ['co_instructor'])) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the course\'s instructors can review excuses'
+      });
+    }
+
+    const excuse = await ExcuseRequest.findOne({ _id: excuseId, course: course._id });
+    if (!excuse) {
+      return res.status(404).json({
+        success: false,
+        message: 'Excuse request not found'
+      });
+    }
+
+    if (excuse.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Excuse request has already been ${excuse.status}`
+      });
+    }
+
+    // An approved excuse turns the student's record for the session into "excused"
+    if (decision === 'approved') {
+      const session = await AttendanceSession.findById(excuse.session).select('opensAt');
+      if (session && session.opensAt > new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Excuses can only be approved once the session has started'
+        });
+      }
+
+      const record = await Attendance.findOne({ session: excuse.session, student: excuse.student }) ||
+        new Attendance({
+          course: excuse.course,
+          student: excuse.student,
+          session: excuse.session,
+          method: 'manual',
+          recordedAt: new Date()
+        });
+      const action = record.isNew || record.isDeleted ? 'create' : 'update';
+
+      record.applyChange(action, {
+        status: 'excused',
+        changedBy: req.user._id,
+        reason: note ? `Excuse approved: ${note}` : 'Excuse approved'
+      });
+      await record.save();
+      attendancePolicyService.refreshStandingsInBackground(course._id);
+    }
+
+    await excuse.review(decision, req.user._id, note);
+
+    res.json({
+      success: true,
+      message: `Excuse request ${decision} successfully`,
+      data: { excuse: formatExcuse(excuse) }
+    });
+
+  } catch (error) {
+    console.error('Review excuse error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review excuse request',
+      error: error.message
+    });
+  }
+};
+
+// Download the document attached to an excuse (owning student or course staff)
+const getExcuseDocument = async (req, res) => {
+  try {
+    const excuse = await ExcuseRequest.findById(req.params.excuseId)
+      .populate('course', 'professor staff');
+
+    if (!excuse || !excuse.hasDocument) {
+      return res.status(404).json({
+        success: false,
+        message: 'Excuse document not found'
+      });
+    }
+
+    const userId = req.user._id.toString();
+    const isOwner = excuse.student.toString() === userId;
+    const isStaff = excuse.course && excuse.course.isStaff(userId);
+
+    if (!isOwner && !isStaff) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this document'
+      });
+    }
+
+    res.type(excuse.document.mimetype);
+    res.download(
+      path.join(excuseUploadsDir, path.basename(excuse.document.filename)),
+      excuse.document.originalName
+    );
+
+  } catch (error) {
+    console.error('Get excuse document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get excuse document',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  submitExcuse,
+  getMyExcuses,
+  getCourseExcuses,
+  approveExcuse: reviewExcuse('approved'),
+  rejectExcuse: reviewExcuse('rejected'),
+  getExcuseDocument
+};
@@ -0,0 +1,175 @@
+const Course = require('../models/Course');
+const { validationResult } = require('express-validator');
+const AttendancePolicyService = require('../services/attendancePolicyService');
+
+const attendancePolicyService = new AttendancePolicyService();
+
+// Shape a standing entry for API responses
+const formatStanding = (entry) => ({
+  standing: entry.standing,
+  reasons: entry.reasons,
+  present: entry.present,
+  late: entry.late,
+  absent: entry.absent,
+  excused: entry.excused,
+  absences: entry.absences,
+  absencesRemaining: entry.absencesRemaining,
+  attendanceRate: entry.attendanceRate,
+  totalSessions: entry.totalSessions
+});
+
+// Get students at risk of failing the course's attendance policy (Course staff)
+const getAtRiskStudents = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { standing } = req.query;
+
+    const course = await Course.findById(id)
+      .populate('enrolledStudents.student', 'name email studentId');
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    // Check if user teaches this course
+    if (!course.isStaff(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view at-risk students for courses you teach'
+      });
+    }
+
+    if (!course.hasAttendancePolicy) {
+      return res.status(400).json({
+        success: false,
+        message: 'This course has no attendance policy'
+      });
+    }
+
+    // Courses taught in sections can be narrowed to one
+    const section = req.query.section ? course.getSection(req.query.section) : null;
+    if (req.query.section && !section) {
+      return res.status(404).json({
+        success: false,
+        message: 'Section not found'
+      });
+    }
+
+    const standings = await attendancePolicyService.getStandings(course, {
+      section: section ? section._id : undefined
+    });
+    const atRisk = standings
+      .filter(entry => standing ? entry.standing === standing : entry.standing !== 'good')
+      .sort((a, b) => b.absences - a.absences);
+
+    res.json({
+      success: true,
+      data: {
+        course: {
+          _id: course._id,
+          title: course.title,
+          courseCode: course.courseCode
+        },
+        section: section ? { _id: section._id, code: section.code } : null,
+        policy: course.attendancePolicy,
+        students: atRisk.map(entry => ({ student: entry.student, ...formatStanding(entry) })),
+        summary: {
+          enrolledStudents: standings.length,
+          warning: standings.filter(entry => entry.standing === 'warning').length,
+          barred: standings.filter(entry => entry.standing === 'barred').length
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get at-risk students error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get at-risk students',
+      error: error.message
+    });
+  }
+};
+
+// Get the current student's standing in each enrolled course
+const getMyStanding = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { courseId } = req.query;
+
+    const query = {
+      enrolledStudents: {
+        $elemMatch: { student: req.user._id, status: 'enrolled' }
+      }
+    };
+    if (courseId) query._id = courseId;
+
+    const courses = await Course.find(query)
+      .select('title courseCode attendancePolicy attendanceSettings enrolledStudents');
+
+    const standings = [];
+    for (const course of courses) {
+      const [entry] = await attendancePolicyService.getStandings(course, { studentId: req.user._id });
+      if (!entry) continue;
+
+      standings.push({
+        course: {
+          _id: course._id,
+          title: course.title,
+          courseCode: course.courseCode
+        },
+        policy: course.hasAttendancePolicy ? course.attendancePolicy : null,
+        ...formatStanding(entry),
+        // Without a policy there is nothing to fall short of
+        standing: course.hasAttendancePolicy ? entry.standing : null
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        standings,
+        summary: {
+          courses: standings.length,
+          warning: standings.filter(entry => entry.standing === 'warning').length,
+          barred: standings.filter(entry => entry.standing === 'barred').length
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get my attendance standing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get attendance standing',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAtRiskStudents,
+  getMyStanding
+};
@@ -0,0 +1,179 @@
+const Course = require('../models/Course');
+const User = require('../models/User');
+const Attendance = require('../models/Attendance');
+const AttendanceSession = require('../models/AttendanceSession');
+const { validationResult } = require('express-validator');
+const { renderStudentReportPDF } = require('../utils/attendanceReport');
+const { calculateAttendanceRate } = require('../utils/helpers');
+
+// Summarise one student's attendance in one course
+const buildCourseReport = async (course, student) => {
+  // Students only attend the sessions of their own section
+  const enrollment = course.enrolledStudents.find(
+    entry => entry.student.toString() === student._id.toString()
+  );
+  const sessions = await AttendanceSession.findHeld(course._id, {
+    section: enrollment ? enrollment.section : undefined
+  });
+  const sessionById = new Map(sessions.map(session => [session._id.toString(), session]));
+  const records = await Attendance.find({
+    session: { $in: sessions.map(session => session._id) },
+    student: student._id,
+    isDeleted: { $ne: true },
+    'syncReview.status': { $ne: 'pending' }
+  }).select('session status presencePercent');
+
+  const minimumPresence = course.attendanceSettings
+    ? course.attendanceSettings.minimumPresencePercent || 0
+    : 0;
+
+  // Check-ins that stayed less than the course's minimum presence count as absences
+  const isShortStay = (record) => ['present', 'late'].includes(record.status) &&
+    typeof record.presencePercent === 'number' && record.presencePercent < minimumPresence;
+  const statusOf = (record) => isShortStay(record) ? 'absent' : record.status;
+  const datesOf = (status) => records
+    .filter(record => statusOf(record) === status)
+    .map(record => ({
+      session: record.session,
+      date: sessionById.get(record.session.toString()).opensAt,
+      ...(isShortStay(record) && { shortStay: true })
+    }))
+    .sort((a, b) => a.date - b.date);
+
+  const counts = { present: 0, late: 0, absent: 0, excused: 0 };
+  records.forEach(record => {
+    counts[statusOf(record)] += 1;
+  });
+
+  // Completed enrollments are not tracked by the policy service, so work it out here
+  const standing = course.hasAttendancePolicy ? course.getAttendanceStanding(counts) : null;
+
+  return {
+    course: {
+      _id: course._id,
+      title: course.title,
+      courseCode: course.courseCode,
+      semester: course.semester,
+      year: course.year,
+      professor: course.professor ? course.professor.name : null
+    },
+    ...counts,
+    totalSessions: sessions.length,
+    attendanceRate: calculateAttendanceRate(counts),
+    absences: datesOf('absent'),
+    excusedSessions: datesOf('excused'),
+    policy: standing ? course.attendancePolicy : null,
+    standing: standing ? standing.standing : null,
+    reasons: standing ? standing.reasons : [],
+    absencesRemaining: standing ? standing.absencesRemaining : null
+  };
+};
+
+// Get a student's attendance across their enrolled courses (Student themself, their course staff, or Admin)
+const getStudentReport = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { studentId } = req.params;
+    const { format = 'json', semester, year } = req.query;
+
+    const student = await User.findById(studentId).select('name email studentId role enrolledCourses');
+    if (!student || student.role !== 'student') {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    const query = {
+      _id: { $in: student.enrolledCourses },
+      enrolledStudents: {
+        $elemMatch: { student: student._id, status: { $in: ['enrolled', 'completed'] } }
+      }
+    };
+    if (semester) query.semester = semester;
+    if (year) query.year = parseInt(year);
+
+    // Professors and course staff only see the courses they teach the student
+    const isSelf = req.user._id.toString() === student._id.toString();
+    const isTeaching = req.user.role !== 'admin' && !isSelf;
+    if (isTeaching) {
+      query.$or = [{ professor: req.user._id }, { 'staff.user': req.user._id }];
+    }
+
+    const courses = await Course.find(query)
+      .populate('professor', 'name')
+      .sort({ courseCode: 1 });
+
+    if (isTeaching && courses.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view reports for students in courses you teach'
+      });
+    }
+
+    const courseReports = [];
+    for (const course of courses) {
+      courseReports.push(await buildCourseReport(course, student));
+    }
+
+    const totals = courseReports.reduce((sum, entry) => ({
+      present: sum.present + entry.present,
+      late: sum.late + entry.late,
+      absent: sum.absent + entry.absent,
+      excused: sum.excused + entry.excused
+    }), { present: 0, late: 0, absent: 0, excused: 0 });
+
+    const report = {
+      student: {
+        _id: student._id,
+        name: student.name,
+        email: student.email,
+        studentId: student.studentId
+      },
+      term: semester || year ? [semester, year].filter(Boolean).join(' ') : 'All terms',
+      generatedAt: new Date(),
+      courses: courseReports,
+      summary: {
+        courses: courseReports.length,
+        ...totals,
+        attendanceRate: calculateAttendanceRate(totals),
+        warning: courseReports.filter(entry => entry.standing === 'warning').length,
+        barred: courseReports.filter(entry => entry.standing === 'barred').length
+      }
+    };
+
+    if (format === 'pdf') {
+      const pdf = await renderStudentReportPDF(report);
+      const filename = `${student.studentId || student._id}-attendance-${report.generatedAt.toISOString().slice(0, 10)}`;
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+      return res.send(pdf);
+    }
+
+    res.json({
+      success: true,
+      data: { report }
+    });
+
+  } catch (error) {
+    console.error('Get student attendance report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get attendance report',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getStudentReport
+};
@@ -0,0 +1,470 @@
+const Course = require('../models/Course');
+const Attendance = require('../models/Attendance');
+const AttendanceSession = require('../models/AttendanceSession');
+const { validationResult } = require('express-validator');
+const { generateStreamToken } = require('../middleware/auth');
+const attendanceStream = require('../services/attendanceStreamService');
+const AttendancePolicyService = require('../services/attendancePolicyService');
+
+const attendancePolicyService = new AttendancePolicyService();
+
+// How often an idle roster stream sends a keep-alive comment
+const STREAM_HEARTBEAT_MS = 15 * 1000;
+
+// Shape a session for API responses
+const formatSession = (session, attendanceCount) => ({
+  _id: session._id,
+  course: session.course,
+  section: session.section,
+  opensAt: session.opensAt,
+  closesAt: session.closesAt,
+  durationMinutes: session.durationMinutes,
+  state: session.currentState,
+  createdBy: session.createdBy,
+  startsAt: session.startsAt,
+  lateAfter: session.lateAfter,
+  requiresCheckOut: session.requiresCheckOut,
+  closedAt: session.closedAt,
+  closedBy: session.closedBy,
+  source: session.source,
+  ...(session.state === 'cancelled' && {
+    cancelledAt: session.cancelledAt,
+    cancelledBy: session.cancelledBy,
+    cancellationReason: session.cancellationReason
+  }),
+  ...(attendanceCount !== undefined && { attendanceCount })
+});
+
+// Load a session and make sure the current user teaches its course
+const findOwnSession = async (req, res) => {
+  const session = await AttendanceSession.findById(req.params.id);
+  if (!session) {
+    res.status(404).json({
+      success: false,
+      message: 'Attendance session not found'
+    });
+    return null;
+  }
+
+  const course = await Course.findById(session.course).select('professor staff');
+  if (!course || !course.isStaff(req.user._id)) {
+    res.status(403).json({
+      success: false,
+      message: 'You can only manage sessions for courses you teach'
+    });
+    return null;
+  }
+
+  return session;
+};
+
+// Open an attendance session for a course (Course staff)
+const openSession = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { courseId, section, opensAt, durationMinutes, requiresCheckOut } = req.body;
+
+    const course = await Course.findById(courseId);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    // Check if user teaches this course
+    if (!course.isStaff(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only open sessions for courses you teach'
+      });
+    }
+
+    if (!course.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Course is not available for attendance'
+      });
+    }
+
+    try {
+      const session = await AttendanceSession.openForCourse(course, req.user._id, {
+        section,
+        opensAt,
+        durationMinutes: durationMinutes ? parseInt(durationMinutes) : undefined,
+        requiresCheckOut: requiresCheckOut !== undefined
+          ? requiresCheckOut === true || requiresCheckOut === 'true'
+          : undefined
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Attendance session opened successfully',
+        data: { session: formatSession(session, 0) }
+      });
+
+    } catch (openError) {
+      return res.status(400).json({
+        success: false,
+        message: openError.message
+      });
+    }
+
+  } catch (error) {
+    console.error('Open attendance session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to open attendance session',
+      error: error.message
+    });
+  }
+};
+
+// List attendance sessions for the courses the user teaches
+const getSessions = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { courseId, section, state, page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const ownCourses = await Course.findByStaff(req.user._id).select('_id');
+    const ownCourseIds = ownCourses.map(course => course._id.toString());
+
+    if (courseId && !ownCourseIds.includes(courseId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view sessions for courses you teach'
+      });
+    }
+
+    // Build query
+    const query = { course: courseId ? courseId : { $in: ownCourseIds } };
+    const now = new Date();
+
+    // A section's students attend its own sessions and those of the whole course
+    if (section) {
+      query.section = { $in: [null, section] };
+    }
+
+    if (state === 'open') {
+      query.state = { $nin: ['closed', 'cancelled'] };
+      query.opensAt = { $lte: now };
+      query.closesAt = { $gt: now };
+    } else if (state === 'scheduled') {
+      query.state = { $nin: ['closed', 'cancelled'] };
+      query.opensAt = { $gt: now };
+    } else if (state === 'closed') {
+      query.state = { $ne: 'cancelled' };
+      query.$or = [{ state: 'closed' }, { closesAt: { $lte: now } }];
+    } else if (state === 'cancelled') {
+      query.state = 'cancelled';
+    }
+
+    const sessions = await AttendanceSession.find(query)
+      .populate('course', 'title courseCode')
+      .populate('createdBy', 'name role')
+      .populate('closedBy', 'name role')
+      .populate('cancelledBy', 'name role')
+      .skip(skip)
+      .limit(parseInt(limit))
+      .sort({ opensAt: -1 });
+
+    const total = await AttendanceSession.countDocuments(query);
+
+    // Count check-ins per session in one query
+    const counts = await Attendance.aggregate([
+      {
+        $match: {
+          session: { $in: sessions.map(session => session._id) },
+          status: { $in: ['present', 'late'] },
+          isDeleted: { $ne: true },
+          'syncReview.status': { $ne: 'pending' }
+        }
+      },
+      { $group: { _id: '$session', count: { $sum: 1 } } }
+    ]);
+    const countBySession = new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session =>
+          formatSession(session, countBySession.get(session._id.toString()) || 0)
+        ),
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get attendance sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get attendance sessions',
+      error: error.message
+    });
+  }
+};
+
+// Extend an attendance session (Course staff)
+const extendSession = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await findOwnSession(req, res);
+    if (!session) return;
+
+    try {
+      await session.extend(parseInt(req.body.minutes));
+      attendanceStream.publish(session._id, 'session', { session: formatSession(session) });
+
+      res.json({
+        success: true,
+        message: 'Attendance session extended successfully',
+        data: { session: formatSession(session) }
+      });
+
+    } catch (extendError) {
+      return res.status(400).json({
+        success: false,
+        message: extendError.message
+      });
+    }
+
+  } catch (error) {
+    console.error('Extend attendance session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to extend attendance session',
+      error: error.message
+    });
+  }
+};
+
+// Close an attendance session (Course staff)
+const closeSession = async (req, res) => {
+  try {
+    const session = await findOwnSession(req, res);
+    if (!session) return;
+
+    try {
+      await session.close(req.user._id);
+      attendanceStream.publish(session._id, 'closed', { session: formatSession(session) });
+      attendancePolicyService.refreshStandingsInBackground(session.course);
+
+      res.json({
+        success: true,
+        message: 'Attendance session closed successfully',
+        data: { session: formatSession(session) }
+      });
+
+    } catch (closeError) {
+      return res.status(400).json({
+        success: false,
+        message: closeError.message
+      });
+    }
+
+  } catch (error) {
+    console.error('Close attendance session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to close attendance session',
+      error: error.message
+    });
+  }
+};
+
+// Cancel a meeting so it does not count as held, e.g. for a holiday (Course staff)
+const cancelSession = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await findOwnSession(req, res);
+    if (!session) return;
+
+    const wasHeld = Boolean(session.finalizedAt);
+
+    try {
+      await session.cancel(req.user._id, req.body.reason);
+    } catch (cancelError) {
+      return res.status(400).json({
+        success: false,
+        message: cancelError.message
+      });
+    }
+
+    attendanceStream.publish(session._id, 'closed', { session: formatSession(session) });
+    // Absences from a meeting that was already held no longer count
+    if (wasHeld) {
+      attendancePolicyService.refreshStandingsInBackground(session.course);
+    }
+
+    res.json({
+      success: true,
+      message: 'Attendance session cancelled successfully',
+      data: { session: formatSession(session) }
+    });
+
+  } catch (error) {
+    console.error('Cancel attendance session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel attendance session',
+      error: error.message
+    });
+  }
+};
+
+// Issue a short-lived token for connecting to a session's live stream (Course staff)
+const createStreamToken = async (req, res) => {
+  try {
+    const session = await findOwnSession(req, res);
+    if (!session) return;
+
+    const { token, expiresAt } = generateStreamToken(req.user._id, session._id);
+
+    res.status(201).json({
+      success: true,
+      data: { token, expiresAt }
+    });
+
+  } catch (error) {
+    console.error('Create stream token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create stream token',
+      error: error.message
+    });
+  }
+};
+
+// Stream a session's check-ins live as Server-Sent Events (Course staff)
+const streamSession = async (req, res) => {
+  try {
+    const session = await findOwnSession(req, res);
+    if (!session) return;
+
+    const records = await Attendance.find({
+      session: session._id,
+      status: { $in: ['present', 'late'] },
+      isDeleted: { $ne: true }
+    })
+      .populate('student', 'name studentId')
+      .sort({ recordedAt: 1 });
+    const counts = await session.getRosterCounts();
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Compression buffers the response unless it is flushed after every event
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      if (res.flush) res.flush();
+    };
+
+    send('roster', {
+      session: formatSession(session),
+      checkIns: records.map(record => attendanceStream.formatCheckIn(record, record.student)),
+      counts
+    });
+
+    if (['closed', 'cancelled'].includes(session.currentState)) {
+      send('closed', { session: formatSession(session) });
+      return res.end();
+    }
+
+    let closesAt = session.closesAt;
+    let heartbeat = null;
+    let unsubscribe = () => {};
+    const stop = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    };
+
+    unsubscribe = attendanceStream.subscribe(session._id, (event, data) => {
+      if (event === 'session') closesAt = data.session.closesAt;
+      send(event, data);
+      if (event === 'closed') {
+        stop();
+        res.end();
+      }
+    });
+
+    // Keep proxies from dropping the connection, and end it once the session runs out
+    heartbeat = setInterval(() => {
+      if (new Date() >= closesAt) {
+        send('closed', { session: { ...formatSession(session), closesAt, state: 'closed' } });
+        stop();
+        return res.end();
+      }
+      res.write(': heartbeat\n\n');
+      if (res.flush) res.flush();
+    }, STREAM_HEARTBEAT_MS);
+
+    req.on('close', stop);
+
+  } catch (error) {
+    console.error('Stream attendance session error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to stream attendance session',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  openSession,
+  getSessions,
+  extendSession,
+  closeSession,
+  cancelSession,
+  createStreamToken,
+  streamSession
+};
@@ -0,0 +1,210 @@
+const Course = require('../models/Course');
+const User = require('../models/User');
+const AttendanceSession = require('../models/AttendanceSession');
+const { listScheduledMeetings, formatTime } = require('../utils/helpers');
+const { renderCalendar } = require('../utils/calendar');
+
+// Days of timetable shown around today for courses without teaching dates or a term
+const UNDATED_PAST_DAYS = 30;
+const UNDATED_FUTURE_DAYS = 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Build the public URLs of a calendar feed
+const buildFeedUrls = (req, token) => {
+  const baseUrl = process.env.API_PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+  const url = `${baseUrl.replace(/\/$/, '')}/api/calendar/feeds/${token}.ics`;
+  return {
+    url,
+    webcalUrl: url.replace(/^https?:/, 'webcal:')
+  };
+};
+
+// Describe where a schedule's meetings take place, for calendar events
+const describePlace = (schedule) => ({
+  location: schedule && schedule.room,
+  geo: schedule && schedule.location && schedule.location.latitude !== undefined
+    ? { latitude: schedule.location.latitude, longitude: schedule.location.longitude }
+    : null
+});
+
+// Build the calendar events of one course: its timetable meetings (skipping the
+// term's non-teaching days) and the attendance sessions opened outside them.
+// Sections are shown as in course.getMeetings, so students only see their own
+const buildCourseEvents = (course, sessions, now, sectionId) => {
+  const professor = course.professor ? course.professor.name : null;
+  const details = [course.title, professor && `Professor: ${professor}`].filter(Boolean);
+
+  const from = course.startDate || (course.term && course.term.startDate) ||
+    new Date(now.getTime() - UNDATED_PAST_DAYS * DAY_MS);
+  const to = course.endDate || (course.term && course.term.endDate) ||
+    new Date(now.getTime() + UNDATED_FUTURE_DAYS * DAY_MS);
+  const meetings = course.getMeetings(sectionId).flatMap(({ section, schedule }) =>
+    (course.term
+      ? course.term.listMeetings(schedule, from, to).filter(meeting => !meeting.skippedFor)
+      : listScheduledMeetings(schedule, from, to)
+    ).map(meeting => ({ ...meeting, section, schedule }))
+  );
+
+  const keyOf = (section, startsAt) => `${section || ''}:${startsAt.getTime()}`;
+  const scheduledSessions = new Map(sessions
+    .filter(session => session.source === 'schedule' && session.startsAt)
+    .map(session => [keyOf(session.section, session.startsAt), session]));
+
+  const events = meetings.map(meeting => {
+    const session = scheduledSessions.get(keyOf(meeting.section && meeting.section._id, meeting.start));
+    const cancelled = session && session.state === 'cancelled';
+    const notes = [...details];
+    if (cancelled) {
+      notes.push(`Cancelled${session.cancellationReason ? `: ${session.cancellationReason}` : ''}`);
+    } else if (session) {
+      notes.push(`Attendance check-in: ${formatTime(session.opensAt)} - ${formatTime(session.closesAt)}`);
+    }
+    const courseLabel = meeting.section ? `${course.courseCode} (${meeting.section.code})` : course.courseCode;
+
+    return {
+      uid: `meeting-${course._id}${meeting.section ? `-${meeting.section._id}` : ''}-${meeting.start.getTime()}@studywave`,
+      start: meeting.start,
+      end: meeting.end,
+      summary: `${cancelled ? 'Cancelled: ' : ''}${courseLabel} ${course.title}`,
+      description: notes.join('\n'),
+      // Sections without a room of their own meet in the course's
+      ...describePlace(meeting.schedule.room ? meeting.schedule : course.schedule),
+      status: cancelled ? 'CANCELLED' : 'CONFIRMED'
+    };
+  });
+
+  sessions
+    .filter(session => session.source === 'manual')
+    .filter(session => sectionId === undefined || session.isForSection(sectionId))
+    .forEach(session => {
+      const section = course.getSection(session.section);
+      const cancelled = session.state === 'cancelled';
+      const notes = [...details, `Attendance check-in: ${formatTime(session.opensAt)} - ${formatTime(session.closesAt)}`];
+      if (cancelled) {
+        notes.push(`Cancelled${session.cancellationReason ? `: ${session.cancellationReason}` : ''}`);
+      }
+
+      events.push({
+        uid: `session-${session._id}@studywave`,
+        start: session.opensAt,
+        end: session.closesAt,
+        summary: `${cancelled ? 'Cancelled: ' : ''}${course.courseCode} attendance session`,
+        description: notes.join('\n'),
+        ...describePlace(section && section.schedule.room ? section.schedule : course.schedule),
+        status: cancelled ? 'CANCELLED' : 'CONFIRMED'
+      });
+    });
+
+  return events;
+};
+
+// Get the current user's calendar feed URL, creating it on first use
+const getCalendarFeed = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+calendarToken');
+    const token = user.calendarToken || await user.resetCalendarToken();
+
+    res.json({
+      success: true,
+      data: buildFeedUrls(req, token)
+    });
+
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get calendar feed',
+      error: error.message
+    });
+  }
+};
+
+// Replace the current user's calendar feed URL, revoking the old one
+const resetCalendarFeed = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+calendarToken');
+    const token = await user.resetCalendarToken();
+
+    res.json({
+      success: true,
+      message: 'Calendar feed URL reset successfully',
+      data: buildFeedUrls(req, token)
+    });
+
+  } catch (error) {
+    console.error('Reset calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset calendar feed',
+      error: error.message
+    });
+  }
+};
+
+// Download a calendar feed as an .ics file (Public - the token identifies the user)
+const exportCalendarFeed = async (req, res) => {
+  try {
+    const user = await User.findByCalendarToken(req.params.token);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    // Courses the user takes, teaches or assists in
+    const courses = await Course.find({
+      isActive: true,
+      $or: [
+        { professor: user._id },
+        { 'staff.user': user._id },
+        { enrolledStudents: { $elemMatch: { student: user._id, status: 'enrolled' } } }
+      ]
+    })
+      .select({
+        title: 1,
+        courseCode: 1,
+        professor: 1,
+        staff: 1,
+        schedule: 1,
+        sections: 1,
+        term: 1,
+        startDate: 1,
+        endDate: 1,
+        // Only the user's own enrollment is loaded, for their section
+        enrolledStudents: { $elemMatch: { student: user._id, status: 'enrolled' } }
+      })
+      .populate('professor', 'name')
+      .populate('term');
+
+    const sessions = await AttendanceSession.find({ course: { $in: courses.map(course => course._id) } })
+      .select('course section source state startsAt opensAt closesAt cancellationReason');
+
+    // Staff see every section of the courses they teach, students their own
+    const now = new Date();
+    const events = courses.flatMap(course => buildCourseEvents(
+      course,
+      sessions.filter(session => session.course.equals(course._id)),
+      now,
+      course.isStaff(user._id) ? undefined : course.getStudentSectionId(user._id)
+    ));
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="studywave.ics"');
+    res.send(renderCalendar({ name: `StudyWave - ${user.name}`, events }, now));
+
+  } catch (error) {
+    console.error('Export calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export calendar feed',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getCalendarFeed,
+  resetCalendarFeed,
+  exportCalendarFeed
+};
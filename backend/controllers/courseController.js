@@ -1,6 +1,111 @@
 const Course = require('../models/Course');
 const User = require('../models/User');
+const AcademicTerm = require('../models/AcademicTerm');
+const Room = require('../models/Room');
 const { validationResult } = require('express-validator');
+const { listScheduledMeetings } = require('../utils/helpers');
+const AttendancePolicyService = require('../services/attendancePolicyService');
+const attendanceScheduler = require('../services/attendanceSchedulerService');
+const waitlistService = require('../services/waitlistService');
+
+const attendancePolicyService = new AttendancePolicyService();
+
+// Find the academic term a course runs in, given explicitly or by its semester
+// and year, and check the course fits in it.
+// Resolves to { term } (null when there is no term) or { message } when it does not fit
+const resolveCourseTerm = async ({ term: termId, semester, year, startDate, endDate }) => {
+  let term = null;
+  if (termId) {
+    term = await AcademicTerm.findById(termId);
+    if (!term || !term.isActive) {
+      return { message: 'Academic term not found' };
+    }
+    if (semester !== term.semester || parseInt(year) !== term.year) {
+      return { message: `Semester and year must match the academic term (${term.semester} ${term.year})` };
+    }
+  } else if (termId === undefined && semester && year) {
+    term = await AcademicTerm.findBySemester(semester, year);
+  }
+
+  if (!term) {
+    return { term: null };
+  }
+
+  const outsideTerm = (date) => date && (new Date(date) < term.startDate || new Date(date) > term.endDate);
+  if (outsideTerm(startDate) || outsideTerm(endDate)) {
+    return { message: `Course dates must fall within the ${term.name} term` };
+  }
+  return { term };
+};
+
+// Check that prerequisites are codes of other existing courses.
+// Resolves to { prerequisites } (normalized) or { message } when they are not
+const resolvePrerequisites = async (prerequisites, courseCode) => {
+  const codes = [...new Set(prerequisites.map(code => String(code).trim().toUpperCase()))];
+  if (codes.includes(courseCode.toUpperCase())) {
+    return { message: 'A course cannot be its own prerequisite' };
+  }
+
+  const existingCodes = await Course.find({ courseCode: { $in: codes } }).distinct('courseCode');
+  const unknownCodes = codes.filter(code => !existingCodes.includes(code));
+  if (unknownCodes.length > 0) {
+    return { message: `Unknown prerequisite course codes: ${unknownCodes.join(', ')}` };
+  }
+  return { prerequisites: codes };
+};
+
+// Link a schedule to a managed room, filling in the room's name and, unless the
+// schedule has its own, location. The course or section must fit in the room.
+// Resolves to { room } (null for free-text rooms) or { message } when it does not fit
+const resolveCourseRoom = async (schedule, capacity) => {
+  if (!schedule || !schedule.roomId) {
+    return { room: null };
+  }
+
+  const room = await Room.findById(schedule.roomId);
+  if (!room || !room.isActive) {
+    return { message: 'Room not found' };
+  }
+  if (parseInt(capacity) > room.capacity) {
+    return { message: `Capacity (${capacity}) exceeds the ${room.capacity} seats of ${room.displayName}` };
+  }
+
+  schedule.room = room.displayName;
+  const hasOwnLocation = schedule.location &&
+    schedule.location.latitude !== undefined && schedule.location.longitude !== undefined;
+  if (room.hasLocation && !hasOwnLocation) {
+    schedule.location = {
+      latitude: room.location.latitude,
+      longitude: room.location.longitude,
+      radiusMeters: room.location.radiusMeters
+    };
+  }
+  return { room };
+};
+
+// Describe the meetings already booked into rooms at the same time
+const describeRoomClashes = (clashes) => {
+  const bookingsByRoom = new Map();
+  clashes.forEach(({ course }) => {
+    const bookings = bookingsByRoom.get(course.schedule.room) || new Set();
+    bookings.add(course.section ? `${course.courseCode} section ${course.section}` : course.courseCode);
+    bookingsByRoom.set(course.schedule.room, bookings);
+  });
+
+  return [...bookingsByRoom]
+    .map(([room, bookings]) => `Room ${room} is already booked at this time by ${[...bookings].join(', ')}`)
+    .join('; ');
+};
+
+// Shape a section for API responses, with its seats
+const formatSection = (course, section) => ({
+  ...section.toObject(),
+  enrolledCount: course.getSectionEnrolledCount(section._id),
+  availableSpots: Math.max(course.getAvailableSpots(section._id), 0)
+});
+
+// Fields a professor can set on a section
+const SECTION_FIELDS = ['code', 'schedule', 'capacity', 'staff', 'isActive'];
 
 // Create new course (Professor only)
 const createCourse = async (req, res) => {
@@ -19,6 +124,8 @@ const createCourse = async (req, res) => {
       ...req.body,
       professor: req.user._id
     };
+    // Sections are added once the course exists, through their own endpoints
+    delete courseData.sections;
 
     // Check if course code already exists
     const existingCourse = await Course.findOne({ courseCode: courseData.courseCode });
@@ -29,7 +136,49 @@ const createCourse = async (req, res) => {
       });
     }
 
+    const { term, message } = await resolveCourseTerm(courseData);
+    if (message) {
+      return res.status(400).json({
+        success: false,
+        message
+      });
+    }
+    courseData.term = term ? term._id : null;
+
+    if (courseData.prerequisites) {
+      const { prerequisites, message: prerequisiteMessage } = await resolvePrerequisites(
+        courseData.prerequisites,
+        courseData.courseCode
+      );
+      if (prerequisiteMessage) {
+        return res.status(400).json({
+          success: false,
+          message: prerequisiteMessage
+        });
+      }
+      courseData.prerequisites = prerequisites;
+    }
+
+    const { message: roomMessage } = await resolveCourseRoom(courseData.schedule, courseData.capacity);
+    if (roomMessage) {
+      return res.status(400).json({
+        success: false,
+        message: roomMessage
+      });
+    }
+
     const course = new Course(courseData);
+
+    // A room can only hold one course at a time
+    const roomClashes = await course.findRoomClashes();
+    if (roomClashes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: describeRoomClashes(roomClashes),
+        clashes: roomClashes
+      });
+    }
+
     await course.save();
 
     // Add course to professor's created courses
@@ -38,6 +187,11 @@ const createCourse = async (req, res) => {
       { $push: { createdCourses: course._id } }
     );
 
+    // Create the course's sessions from its timetable
+    if (course.attendanceSettings && course.attendanceSettings.autoSessions) {
+      attendanceScheduler.syncCourseInBackground(course._id);
+    }
+
     // Populate professor info
     await course.populate('professor', 'name email department');
 
@@ -132,6 +286,9 @@ const getCourseById = async (req, res) => {
 
     const course = await Course.findById(id)
       .populate('professor', 'name email department jobTitle')
+      .populate('staff.user', 'name email')
+      .populate('sections.staff', 'name email')
+      .populate('term', 'name semester year startDate endDate')
       .populate('enrolledStudents.student', 'name email studentId major year');
 
     if (!course) {
@@ -141,8 +298,8 @@ const getCourseById = async (req, res) => {
       });
     }
 
-    // Check if course is published or user is the professor
-    if (!course.isPublished && (!req.user || course.professor._id.toString() !== req.user._id.toString())) {
+    // Check if course is published or user teaches it
+    if (!course.isPublished && (!req.user || !course.isStaff(req.user._id))) {
       return res.status(403).json({
         success: false,
         message: 'Course is not published'
@@ -164,6 +321,86 @@ const getCourseById = async (req, res) => {
   }
 };
 
+// Get the dates a course meets, with meetings on non-teaching days marked as
+// skipped. Sections' meetings are included, or only one section's if asked
+const getCourseMeetings = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const course = await Course.findById(id)
+      .select('title courseCode professor staff schedule sections term startDate endDate isPublished')
+      .populate('term');
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    // Check if course is published or user teaches it
+    if (!course.isPublished && (!req.user || !course.isStaff(req.user._id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Course is not published'
+      });
+    }
+
+    const startDate = course.startDate || (course.term && course.term.startDate);
+    const endDate = course.endDate || (course.term && course.term.endDate);
+    if (!startDate || !endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Course has no teaching dates or academic term'
+      });
+    }
+
+    const section = req.query.section ? course.getSection(req.query.section) : null;
+    if (req.query.section && !section) {
+      return res.status(404).json({
+        success: false,
+        message: 'Section not found'
+      });
+    }
+
+    const meetings = course.getMeetings(section ? section._id : undefined)
+      .flatMap(meeting => (course.term
+        ? course.term.listMeetings(meeting.schedule, startDate, endDate)
+        : listScheduledMeetings(meeting.schedule, startDate, endDate)
+      ).map(date => ({ ...date, section: meeting.section ? meeting.section.code : null })))
+      .sort((a, b) => a.start - b.start);
+
+    res.json({
+      success: true,
+      data: {
+        course: {
+          _id: course._id,
+          title: course.title,
+          courseCode: course.courseCode
+        },
+        term: course.term ? { _id: course.term._id, name: course.term.name } : null,
+        section: section ? { _id: section._id, code: section.code } : null,
+        startDate,
+        endDate,
+        meetings,
+        summary: {
+          scheduled: meetings.length,
+          teaching: meetings.filter(meeting => !meeting.skippedFor).length,
+          skipped: meetings.filter(meeting => meeting.skippedFor).length
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get course meetings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get course meetings',
+      error: error.message
+    });
+  }
+};
+
 // Update course (Professor only - own courses)
 const updateCourse = async (req, res) => {
   try {
@@ -195,9 +432,32 @@ const updateCourse = async (req, res) => {
       });
     }
 
-    // Don't allow changing professor
+    // Don't allow changing professor; staff, sections and the waitlist are managed through their own endpoints
     const updateData = { ...req.body };
     delete updateData.professor;
+    delete updateData.staff;
+    delete updateData.sections;
+    delete updateData.waitlist;
+    delete updateData.prerequisiteOverrides;
+
+    // A new semester means a new term, unless one is given
+    const changesSemester = updateData.semester !== undefined || updateData.year !== undefined;
+    if (updateData.term !== undefined || changesSemester || updateData.startDate || updateData.endDate) {
+      const { term, message } = await resolveCourseTerm({
+        term: updateData.term !== undefined || changesSemester ? updateData.term : course.term,
+        semester: updateData.semester || course.semester,
+        year: updateData.year || course.year,
+        startDate: updateData.startDate !== undefined ? updateData.startDate : course.startDate,
+        endDate: updateData.endDate !== undefined ? updateData.endDate : course.endDate
+      });
+      if (message) {
+        return res.status(400).json({
+          success: false,
+          message
+        });
+      }
+      updateData.term = term ? term._id : null;
+    }
 
     // Check if course code is being changed and if it already exists
     if (updateData.courseCode && updateData.courseCode !== course.courseCode) {
@@ -214,11 +474,75 @@ const updateCourse = async (req, res) => {
       }
     }
 
-    const updatedCourse = await Course.findByIdAndUpdate(
-      id,
-      updateData,
-      { new: true, runValidators: true }
-    ).populate('professor', 'name email department');
+    if (updateData.prerequisites) {
+      const { prerequisites, message } = await resolvePrerequisites(
+        updateData.prerequisites,
+        updateData.courseCode || course.courseCode
+      );
+      if (message) {
+        return res.status(400).json({
+          success: false,
+          message
+        });
+      }
+      updateData.prerequisites = prerequisites;
+    }
+
+    // A new schedule replaces the room; a new capacity must still fit the current one
+    if (updateData.schedule !== undefined || updateData.capacity !== undefined) {
+      const { message } = await resolveCourseRoom(
+        updateData.schedule !== undefined ? updateData.schedule : { roomId: course.schedule && course.schedule.roomId },
+        updateData.capacity !== undefined ? updateData.capacity : course.capacity
+      );
+      if (message) {
+        return res.status(400).json({
+          success: false,
+          message
+        });
+      }
+    }
+
+    // A room can only hold one course at a time
+    if (['schedule', 'semester', 'year', 'startDate', 'endDate', 'isActive'].some(field => updateData[field] !== undefined)) {
+      const candidate = new Course({ ...course.toObject({ virtuals: false }), ...updateData });
+      const roomClashes = await candidate.findRoomClashes();
+      if (roomClashes.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: describeRoomClashes(roomClashes),
+          clashes: roomClashes
+        });
+      }
+    }
+
+    // Saving the document runs its own checks, such as a course listing itself as a prerequisite
+    const previousCode = course.courseCode;
+    course.set(updateData);
+    await course.save();
+    const updatedCourse = await course.populate('professor', 'name email department');
+
+    // Courses requiring this one follow its new code
+    if (updatedCourse.courseCode !== previousCode) {
+      await Course.updateMany(
+        { prerequisites: previousCode },
+        { $set: { 'prerequisites.$': updatedCourse.courseCode } }
+      );
+    }
+
+    // A new attendance policy can change every student's standing
+    if (updateData.attendancePolicy) {
+      attendancePolicyService.refreshStandingsInBackground(id);
+    }
+
+    // Upcoming sessions follow the new timetable, teaching dates or settings
+    if (['schedule', 'term', 'startDate', 'endDate', 'attendanceSettings', 'isActive'].some(field => updateData[field] !== undefined)) {
+      attendanceScheduler.syncCourseInBackground(id);
+    }
+
+    // Extra seats go to the waitlist
+    if (['capacity', 'waitlistSettings', 'isActive'].some(field => updateData[field] !== undefined)) {
+      waitlistService.promoteInBackground(id);
+    }
 
     res.json({
       success: true,
@@ -227,6 +551,14 @@ const updateCourse = async (req, res) => {
     });
 
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
     console.error('Update course error:', error);
     res.status(500).json({
       success: false,
@@ -261,6 +593,9 @@ const deleteCourse = async (req, res) => {
     course.isActive = false;
     await course.save();
 
+    // Drop the sessions it had coming up
+    attendanceScheduler.syncCourseInBackground(course._id);
+
     // Remove course from professor's created courses
     await User.findByIdAndUpdate(
       req.user._id,
@@ -321,8 +656,35 @@ const enrollStudent = async (req, res) => {
       });
     }
 
+    // Seats whose offer expired are passed on before anyone new takes them
+    await waitlistService.promote(course);
+
     try {
-      await course.enrollStudent(studentId);
+      // Courses taught in sections need one; a student offered a seat takes it
+      // in the section they waited for unless they pick another
+      const waitlistEntry = course.getWaitlistEntry(studentId);
+      const section = course.resolveSection(req.body.section || (waitlistEntry && waitlistEntry.section));
+      const sectionId = section ? section._id : null;
+
+      // A full course or section puts the student on the waitlist instead
+      if (!course.hasSeatFor(studentId, sectionId)) {
+        await course.joinWaitlist(studentId, sectionId);
+
+        return res.status(202).json({
+          success: true,
+          message: section
+            ? `Section ${section.code} is at full capacity; you have been added to the waitlist`
+            : 'Course is at full capacity; you have been added to the waitlist',
+          data: {
+            waitlisted: true,
+            section: section ? section.code : null,
+            position: course.getWaitlistPosition(studentId),
+            waitlistCount: course.waitlistCount
+          }
+        });
+      }
+
+      await course.enrollStudent(studentId, sectionId);
       
       // Add course to student's enrolled courses
       await User.findByIdAndUpdate(
@@ -330,15 +692,24 @@ const enrollStudent = async (req, res) => {
         { $addToSet: { enrolledCourses: course._id } }
       );
 
+      // Clashes only reach this point when they are allowed; the student is warned
+      const clashes = await course.findStudentClashes(studentId, sectionId);
+      const clashingCodes = [...new Set(clashes.map(clash => clash.course.courseCode))];
+
       res.json({
         success: true,
-        message: 'Successfully enrolled in course'
+        message: clashes.length > 0
+          ? `Successfully enrolled in course; it clashes with ${clashingCodes.join(', ')}`
+          : 'Successfully enrolled in course',
+        data: { waitlisted: false, section: section ? section.code : null, clashes }
       });
 
     } catch (enrollError) {
       return res.status(400).json({
         success: false,
-        message: enrollError.message
+        message: enrollError.message,
+        ...(enrollError.missingPrerequisites && { missingPrerequisites: enrollError.missingPrerequisites }),
+        ...(enrollError.clashes && { clashes: enrollError.clashes })
       });
     }
 
@@ -383,6 +754,9 @@ const dropStudent = async (req, res) => {
         { $pull: { enrolledCourses: course._id } }
       );
 
+      // The freed seat is offered to the next student on the waitlist
+      waitlistService.promoteInBackground(course._id);
+
       res.json({
         success: true,
         message: 'Successfully dropped from course'
@@ -405,6 +779,811 @@ const dropStudent = async (req, res) => {
   }
 };
 
+// Get a course's waitlist: the full list for course staff and admins, and
+// their own place for students
+const getWaitlist = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const course = await Course.findById(id)
+      .select('title courseCode professor staff capacity sections enrolledStudents waitlist waitlistSettings')
+      .populate('waitlist.student', 'name email studentId');
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    const summary = {
+      course: {
+        _id: course._id,
+        title: course.title,
+        courseCode: course.courseCode
+      },
+      capacity: course.capacity,
+      enrolledCount: course.enrolledCount,
+      availableSpots: Math.max(course.availableSpots, 0),
+      waitlistCount: course.waitlistCount,
+      waitlistSettings: course.waitlistSettings,
+      sections: course.sections
+        .filter(section => section.isActive)
+        .map(section => ({
+          _id: section._id,
+          code: section.code,
+          capacity: section.capacity,
+          enrolledCount: course.getSectionEnrolledCount(section._id),
+          availableSpots: Math.max(course.getAvailableSpots(section._id), 0)
+        }))
+    };
+    const sectionCode = (entry) => {
+      const section = course.getSection(entry.section);
+      return section ? section.code : null;
+    };
+
+    if (req.user.role !== 'admin' && !course.isStaff(req.user._id)) {
+      const entry = course.getWaitlistEntry(req.user._id);
+      return res.json({
+        success: true,
+        data: {
+          ...summary,
+          entry: entry
+            ? {
+              position: course.getWaitlistPosition(req.user._id),
+              section: sectionCode(entry),
+              joinedAt: entry.joinedAt,
+              offeredAt: entry.offeredAt,
+              offerExpiresAt: entry.offerExpiresAt
+            }
+            : null
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...summary,
+        waitlist: course.waitlist.map((entry, index) => ({
+          position: index + 1,
+          student: entry.student,
+          section: sectionCode(entry),
+          joinedAt: entry.joinedAt,
+          offeredAt: entry.offeredAt,
+          offerExpiresAt: entry.offerExpiresAt
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get waitlist',
+      error: error.message
+    });
+  }
+};
+
+// Leave a course's waitlist, declining any seat offered (Student only)
+const leaveWaitlist = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const course = await Course.findById(id);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    try {
+      await course.leaveWaitlist(req.user._id);
+    } catch (waitlistError) {
+      return res.status(400).json({
+        success: false,
+        message: waitlistError.message
+      });
+    }
+
+    // A declined offer goes to the next student in line
+    waitlistService.promoteInBackground(course._id);
+
+    res.json({
+      success: true,
+      message: 'Successfully left the waitlist'
+    });
+
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to leave waitlist',
+      error: error.message
+    });
+  }
+};
+
+// Get a course's teaching staff (Course staff)
+const getCourseStaff = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const course = await Course.findById(id)
+      .select('title courseCode professor staff')
+      .populate('professor', 'name email')
+      .populate('staff.user', 'name email role studentId');
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        professor: course.professor,
+        staff: course.staff
+      }
+    });
+
+  } catch (error) {
+    console.error('Get course staff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get course staff',
+      error: error.message
+    });
+  }
+};
+
+// Add a teaching assistant or co-instructor, or change their role (Professor only - own courses)
+const addCourseStaff = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { userId, role = 'ta' } = req.body;
+
+    const course = await Course.findById(id);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    // Check if user is the professor of this course
+    if (course.professor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only manage staff for your own courses'
+      });
+    }
+
+    const user = await User.findById(userId).select('name email role isActive');
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!['student', 'professor'].includes(user.role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only students and professors can be course staff'
+      });
+    }
+
+    try {
+      await course.addStaff(user._id, role);
+    } catch (staffError) {
+      return res.status(400).json({
+        success: false,
+        message: staffError.message
+      });
+    }
+
+    await course.populate('staff.user', 'name email role studentId');
+
+    res.json({
+      success: true,
+      message: 'Course staff updated successfully',
+      data: { staff: course.staff }
+    });
+
+  } catch (error) {
+    console.error('Add course staff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update course staff',
+      error: error.message
+    });
+  }
+};
+
+// Remove a staff member from a course (Professor only - own courses)
+const removeCourseStaff = async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+
+    const course = await Course.findById(id);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    // Check if user is the professor of this course
+    if (course.professor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only manage staff for your own courses'
+      });
+    }
+
+    try {
+      await course.removeStaff(userId);
+    } catch (staffError) {
+      return res.status(400).json({
+        success: false,
+        message: staffError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Staff member removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Remove course staff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove staff member',
+      error: error.message
+    });
+  }
+};
+
+// Get a course's sections with their seats; inactive ones are only listed for course staff
+const getSections = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const course = await Course.findById(id)
+      .select('title courseCode professor staff capacity sections enrolledStudents waitlist isPublished')
+      .populate('sections.staff', 'name email');
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    // Check if course is published or user teaches it
+    const isStaff = Boolean(req.user) && course.isStaff(req.user._id);
+    if (!course.isPublished && !isStaff) {
+      return res.status(403).json({
+        success: false,
+        message: 'Course is not published'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        course: {
+          _id: course._id,
+          title: course.title,
+          courseCode: course.courseCode
+        },
+        sections: course.sections
+          .filter(section => section.isActive || isStaff)
+          .map(section => formatSection(course, section))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get sections error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get sections',
+      error: error.message
+    });
+  }
+};
+
+// Add a section to a course (Professor only - own courses)
+const createSection = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    // Check if user is the professor of this course
+    if (course.professor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only manage sections for your own courses'
+      });
+    }
+
+    const sectionData = Object.fromEntries(
+      SECTION_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+    );
+
+    const { message } = await resolveCourseRoom(sectionData.schedule, sectionData.capacity);
+    if (message) {
+      return res.status(400).json({
+        success: false,
+        message
+      });
+    }
+
+    course.sections.push(sectionData);
+    const section = course.sections[course.sections.length - 1];
+
+    // A room can only hold one meeting at a time
+    const roomClashes = await course.findRoomClashes();
+    if (roomClashes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: describeRoomClashes(roomClashes),
+        clashes: roomClashes
+      });
+    }
+
+    await course.save();
+
+    // Create the section's sessions from its timetable
+    if (course.attendanceSettings && course.attendanceSettings.autoSessions) {
+      attendanceScheduler.syncCourseInBackground(course._id);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Section created successfully',
+      data: { section: formatSection(course, section) }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    console.error('Create section error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create section',
+      error: error.message
+    });
+  }
+};
+
+// Update a course section (Professor only - own courses)
+const updateSection = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    // Check if user is the professor of this course
+    if (course.professor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only manage sections for your own courses'
+      });
+    }
+
+    const section = course.getSection(req.params.sectionId);
+    if (!section) {
+      return res.status(404).json({
+        success: false,
+        message: 'Section not found'
+      });
+    }
+
+    const updateData = Object.fromEntries(
+      SECTION_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+    );
+
+    // A new schedule replaces the room; a new capacity must still fit the current one
+    if (updateData.schedule !== undefined || updateData.capacity !== undefined) {
+      const { message } = await resolveCourseRoom(
+        updateData.schedule !== undefined ? updateData.schedule : { roomId: section.schedule.roomId },
+        updateData.capacity !== undefined ? updateData.capacity : section.capacity
+      );
+      if (message) {
+        return res.status(400).json({
+          success: false,
+          message
+        });
+      }
+    }
+
+    section.set(updateData);
+
+    // A room can only hold one meeting at a time
+    if (updateData.schedule !== undefined || updateData.isActive !== undefined) {
+      const roomClashes = await course.findRoomClashes();
+      if (roomClashes.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: describeRoomClashes(roomClashes),
+          clashes: roomClashes
+        });
+      }
+    }
+
+    await course.save();
+
+    // Upcoming sessions follow the section's new timetable
+    if ((updateData.schedule !== undefined || updateData.isActive !== undefined) &&
+        course.attendanceSettings && course.attendanceSettings.autoSessions) {
+      attendanceScheduler.syncCourseInBackground(course._id);
+    }
+
+    // Extra seats go to the waitlist
+    if (updateData.capacity !== undefined || updateData.isActive !== undefined) {
+      waitlistService.promoteInBackground(course._id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Section updated successfully',
+      data: { section: formatSection(course, section) }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    console.error('Update section error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update section',
+      error: error.message
+    });
+  }
+};
+
+// Remove a section nobody is enrolled in (Professor only - own courses)
+const deleteSection = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    // Check if user is the professor of this course
+    if (course.professor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only manage sections for your own courses'
+      });
+    }
+
+    try {
+      await course.removeSection(req.params.sectionId);
+    } catch (sectionError) {
+      return res.status(400).json({
+        success: false,
+        message: sectionError.message
+      });
+    }
+
+    // Drop the section's upcoming sessions
+    attendanceScheduler.syncCourseInBackground(course._id);
+
+    res.json({
+      success: true,
+      message: 'Section deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete section error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete section',
+      error: error.message
+    });
+  }
+};
+
+// Get a course's prerequisites: with the overrides granted for course staff and
+// admins, and with what is still missing for students
+const getPrerequisites = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const course = await Course.findById(id)
+      .select('title courseCode professor staff prerequisites prerequisiteOverrides')
+      .populate('prerequisiteOverrides.student', 'name email studentId')
+      .populate('prerequisiteOverrides.grantedBy', 'name');
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    const prerequisiteCourses = await Course.find({ courseCode: { $in: course.prerequisites } })
+      .select('courseCode title');
+    const titles = new Map(prerequisiteCourses.map(entry => [entry.courseCode, entry.title]));
+    const courseInfo = {
+      _id: course._id,
+      title: course.title,
+      courseCode: course.courseCode
+    };
+
+    if (req.user.role === 'admin' || course.isStaff(req.user._id)) {
+      return res.json({
+        success: true,
+        data: {
+          course: courseInfo,
+          prerequisites: course.prerequisites.map(code => ({ courseCode: code, title: titles.get(code) || null })),
+          overrides: course.prerequisiteOverrides
+        }
+      });
+    }
+
+    const missingPrerequisites = await course.getMissingPrerequisites(req.user._id);
+    const missingCodes = new Set(missingPrerequisites.map(entry => entry.courseCode));
+    const hasOverride = course.hasPrerequisiteOverride(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        course: courseInfo,
+        prerequisites: course.prerequisites.map(code => ({
+          courseCode: code,
+          title: titles.get(code) || null,
+          completed: hasOverride ? null : !missingCodes.has(code)
+        })),
+        hasOverride,
+        eligible: missingPrerequisites.length === 0,
+        missingPrerequisites
+      }
+    });
+
+  } catch (error) {
+    console.error('Get prerequisites error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get prerequisites',
+      error: error.message
+    });
+  }
+};
+
+// Let a student enroll without the prerequisites (Professor only - own courses)
+const grantPrerequisiteOverride = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { studentId, reason } = req.body;
+
+    const course = await Course.findById(id);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    // Check if user is the professor of this course
+    if (course.professor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only manage prerequisite overrides for your own courses'
+      });
+    }
+
+    const student = await User.findById(studentId).select('role isActive');
+    if (!student || !student.isActive || student.role !== 'student') {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    try {
+      await course.grantPrerequisiteOverride(student._id, req.user._id, reason);
+    } catch (overrideError) {
+      return res.status(400).json({
+        success: false,
+        message: overrideError.message
+      });
+    }
+
+    await course.populate('prerequisiteOverrides.student', 'name email studentId');
+
+    res.json({
+      success: true,
+      message: 'Prerequisite override granted successfully',
+      data: { overrides: course.prerequisiteOverrides }
+    });
+
+  } catch (error) {
+    console.error('Grant prerequisite override error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to grant prerequisite override',
+      error: error.message
+    });
+  }
+};
+
+// Mark students as having completed the course (Professor only - own courses)
+const completeEnrollments = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    // Check if user is the professor of this course
+    if (course.professor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only complete enrollments for your own courses'
+      });
+    }
+
+    const enrolledBefore = course.enrolledCount;
+    try {
+      await course.completeEnrollments(req.body.studentIds);
+    } catch (completeError) {
+      return res.status(400).json({
+        success: false,
+        message: completeError.message
+      });
+    }
+    const completed = enrolledBefore - course.enrolledCount;
+
+    res.json({
+      success: true,
+      message: `${completed} enrollment(s) marked as completed`,
+      data: {
+        completed,
+        enrolledCount: course.enrolledCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Complete enrollments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to complete enrollments',
+      error: error.message
+    });
+  }
+};
+
+// Withdraw a student's prerequisite override (Professor only - own courses)
+const revokePrerequisiteOverride = async (req, res) => {
+  try {
+    const { id, studentId } = req.params;
+
+    const course = await Course.findById(id);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    // Check if user is the professor of this course
+    if (course.professor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only manage prerequisite overrides for your own courses'
+      });
+    }
+
+    try {
+      await course.revokePrerequisiteOverride(studentId);
+    } catch (overrideError) {
+      return res.status(400).json({
+        success: false,
+        message: overrideError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Prerequisite override revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke prerequisite override error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke prerequisite override',
+      error: error.message
+    });
+  }
+};
+
 // Get courses by professor
 const getCoursesByProfessor = async (req, res) => {
   try {
@@ -525,10 +1704,24 @@ module.exports = {
   createCourse,
   getAllCourses,
   getCourseById,
+  getCourseMeetings,
   updateCourse,
   deleteCourse,
   enrollStudent,
   dropStudent,
+  getWaitlist,
+  leaveWaitlist,
+  getCourseStaff,
+  addCourseStaff,
+  removeCourseStaff,
+  getSections,
+  createSection,
+  updateSection,
+  deleteSection,
+  getPrerequisites,
+  grantPrerequisiteOverride,
+  revokePrerequisiteOverride,
+  completeEnrollments,
   getCoursesByProfessor,
   getMyCourses
 };
@@ -0,0 +1,447 @@
+const Room = require('../models/Room');
+const Course = require('../models/Course');
+const { validationResult } = require('express-validator');
+const { WEEKDAYS, findOverlappingDays } = require('../utils/helpers');
+
+// Fields an admin can set on a room
+const ROOM_FIELDS = ['name', 'building', 'capacity', 'equipment', 'location', 'isActive'];
+
+// Weekdays in timetable order, Monday first
+const WEEK = [...WEEKDAYS.slice(1), WEEKDAYS[0]];
+
+// Split a comma-separated query value into trimmed items
+const splitList = (value) => {
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+// Find the meetings of a semester's active courses held in any of the given rooms,
+// either linked to the room or using its name. Resolves to one
+// { course, section, schedule, room } entry per weekly meeting, where section
+// is null for meetings of the whole course
+const findRoomCourses = async (rooms, { semester, year, days }) => {
+  const byId = new Map(rooms.map(room => [room._id.toString(), room]));
+  const byName = new Map(rooms.map(room => [room.displayName.toLowerCase(), room]));
+  const roomIds = rooms.map(room => room._id);
+  const roomNames = rooms.map(room => room.displayName);
+
+  const query = {
+    isActive: true,
+    semester,
+    year: parseInt(year),
+    $or: [
+      { 'schedule.roomId': { $in: roomIds } },
+      { 'schedule.roomId': null, 'schedule.room': { $in: roomNames } },
+      { sections: { $elemMatch: { 'schedule.roomId': { $in: roomIds } } } },
+      { sections: { $elemMatch: { 'schedule.roomId': null, 'schedule.room': { $in: roomNames } } } }
+    ]
+  };
+  if (days) {
+    query.$and = [{ $or: [{ 'schedule.days': { $in: days } }, { 'sections.schedule.days': { $in: days } }] }];
+  }
+
+  const courses = await Course.find(query)
+    .select('title courseCode professor capacity schedule sections startDate endDate')
+    .populate('professor', 'name')
+    // Free-text room names are matched without regard to case
+    .collation({ locale: 'en', strength: 2 });
+
+  const roomOf = (schedule) => schedule.roomId
+    ? byId.get(schedule.roomId.toString())
+    : byName.get((schedule.room || '').toLowerCase());
+
+  return courses.flatMap(course => course.getMeetings()
+    .map(({ section, schedule }) => ({ course, section, schedule, room: roomOf(schedule) }))
+    .filter(entry => entry.room));
+};
+
+// Get rooms
+const getRooms = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { building, minCapacity, equipment, includeInactive } = req.query;
+
+    const query = {};
+    if (building) query.building = building;
+    if (minCapacity) query.capacity = { $gte: parseInt(minCapacity) };
+    if (equipment) query.equipment = { $all: splitList(equipment).map(item => item.toLowerCase()) };
+    if (includeInactive !== 'true') query.isActive = true;
+
+    const rooms = await Room.find(query).sort({ building: 1, name: 1 });
+
+    res.json({
+      success: true,
+      data: { rooms }
+    });
+
+  } catch (error) {
+    console.error('Get rooms error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get rooms',
+      error: error.message
+    });
+  }
+};
+
+// Find rooms free for a weekly time slot in a semester
+const getRoomAvailability = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { startTime, endTime, semester, year, minCapacity, equipment, building } = req.query;
+    const slot = { days: splitList(req.query.days), startTime, endTime };
+
+    const roomQuery = { isActive: true };
+    if (building) roomQuery.building = building;
+    if (minCapacity) roomQuery.capacity = { $gte: parseInt(minCapacity) };
+    if (equipment) roomQuery.equipment = { $all: splitList(equipment).map(item => item.toLowerCase()) };
+
+    const rooms = await Room.find(roomQuery).sort({ capacity: 1, building: 1, name: 1 });
+    const bookings = await findRoomCourses(rooms, { semester, year, days: slot.days });
+
+    const busyRoomIds = new Set(bookings
+      .filter(entry => findOverlappingDays(slot, entry.schedule).length > 0)
+      .map(entry => entry.room._id.toString()));
+
+    res.json({
+      success: true,
+      data: {
+        slot: { ...slot, semester, year: parseInt(year) },
+        rooms: rooms.filter(room => !busyRoomIds.has(room._id.toString())),
+        busyCount: busyRoomIds.size
+      }
+    });
+
+  } catch (error) {
+    console.error('Get room availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get room availability',
+      error: error.message
+    });
+  }
+};
+
+// Get single room by ID
+const getRoomById = async (req, res) => {
+  try {
+    const room = await Room.findById(req.params.id);
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { room }
+    });
+
+  } catch (error) {
+    console.error('Get room error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get room',
+      error: error.message
+    });
+  }
+};
+
+// Get a room's weekly timetable for a semester
+const getRoomOccupancy = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { semester, year } = req.query;
+
+    const room = await Room.findById(req.params.id);
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found'
+      });
+    }
+
+    const bookings = await findRoomCourses([room], { semester, year });
+    const toMinutes = (time) => {
+      const [hours, minutes] = time.split(':').map(Number);
+      return hours * 60 + minutes;
+    };
+
+    const week = WEEK.map(day => {
+      const meetings = bookings
+        .filter(({ schedule }) => schedule.startTime && schedule.days.includes(day))
+        .map(({ course, section, schedule }) => ({
+          course: {
+            _id: course._id,
+            courseCode: course.courseCode,
+            title: course.title,
+            professor: course.professor,
+            capacity: section ? section.capacity : course.capacity
+          },
+          section: section ? section.code : null,
+          startTime: schedule.startTime,
+          endTime: schedule.endTime || null,
+          startDate: course.startDate,
+          endDate: course.endDate
+        }))
+        .sort((a, b) => toMinutes(a.startTime) - toMinutes(b.startTime));
+
+      return {
+        day,
+        meetings,
+        bookedMinutes: meetings
+          .filter(meeting => meeting.endTime)
+          .reduce((total, meeting) => total + toMinutes(meeting.endTime) - toMinutes(meeting.startTime), 0)
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        room,
+        semester,
+        year: parseInt(year),
+        week,
+        summary: {
+          courses: new Set(bookings.map(({ course }) => course._id.toString())).size,
+          meetingsPerWeek: week.reduce((total, day) => total + day.meetings.length, 0),
+          bookedHours: Math.round(week.reduce((total, day) => total + day.bookedMinutes, 0) / 6) / 10
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get room occupancy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get room occupancy',
+      error: error.message
+    });
+  }
+};
+
+// Create room (Admin only)
+const createRoom = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const existingRoom = await Room.findOne({ building: req.body.building, name: req.body.name });
+    if (existingRoom) {
+      return res.status(400).json({
+        success: false,
+        message: 'A room with this name already exists in the building'
+      });
+    }
+
+    const room = new Room(Object.fromEntries(
+      ROOM_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+    ));
+    await room.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Room created successfully',
+      data: { room }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    console.error('Create room error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create room',
+      error: error.message
+    });
+  }
+};
+
+// Update room (Admin only)
+const updateRoom = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const room = await Room.findById(req.params.id);
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found'
+      });
+    }
+
+    // Courses and sections taught in the room must still fit in it
+    if (req.body.capacity !== undefined) {
+      const capacity = parseInt(req.body.capacity);
+      const inRoom = (schedule) => Boolean(schedule && schedule.roomId && schedule.roomId.equals(room._id));
+      const courses = await Course.find({
+        isActive: true,
+        $or: [
+          { 'schedule.roomId': room._id, capacity: { $gt: capacity } },
+          { sections: { $elemMatch: { 'schedule.roomId': room._id, capacity: { $gt: capacity } } } }
+        ]
+      }).select('courseCode capacity schedule sections');
+
+      const tooLarge = courses.flatMap(course => [
+        ...(inRoom(course.schedule) && course.capacity > capacity ? [`${course.courseCode} (${course.capacity})`] : []),
+        ...course.sections
+          .filter(section => inRoom(section.schedule) && section.capacity > capacity)
+          .map(section => `${course.courseCode} section ${section.code} (${section.capacity})`)
+      ]);
+
+      if (tooLarge.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Courses in this room need more seats: ${tooLarge.join(', ')}`
+        });
+      }
+    }
+
+    ROOM_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => room.set(field, req.body[field]));
+    await room.save();
+
+    // Courses and sections show the room's current name and use its location as their geofence
+    const courseUpdate = { 'schedule.room': room.displayName };
+    if (req.body.location !== undefined && room.hasLocation) {
+      courseUpdate['schedule.location'] = room.location;
+    }
+    await Course.updateMany({ 'schedule.roomId': room._id }, { $set: courseUpdate });
+    await Course.updateMany(
+      { 'sections.schedule.roomId': room._id },
+      {
+        $set: Object.fromEntries(Object.entries(courseUpdate)
+          .map(([path, value]) => [`sections.$[section].${path}`, value]))
+      },
+      { arrayFilters: [{ 'section.schedule.roomId': room._id }] }
+    );
+
+    res.json({
+      success: true,
+      message: 'Room updated successfully',
+      data: { room }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A room with this name already exists in the building'
+      });
+    }
+
+    console.error('Update room error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update room',
+      error: error.message
+    });
+  }
+};
+
+// Delete room (Admin only)
+const deleteRoom = async (req, res) => {
+  try {
+    const room = await Room.findById(req.params.id);
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found'
+      });
+    }
+
+    const courseCount = await Course.countDocuments({
+      $or: [{ 'schedule.roomId': room._id }, { 'sections.schedule.roomId': room._id }]
+    });
+    if (courseCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Room is used by ${courseCount} course(s); deactivate it instead`
+      });
+    }
+
+    await Room.findByIdAndDelete(room._id);
+
+    res.json({
+      success: true,
+      message: 'Room deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete room error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete room',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getRooms,
+  getRoomAvailability,
+  getRoomById,
+  getRoomOccupancy,
+  createRoom,
+  updateRoom,
+  deleteRoom
+};
@@ -0,0 +1,256 @@
+const AcademicTerm = require('../models/AcademicTerm');
+const Course = require('../models/Course');
+const { validationResult } = require('express-validator');
+const AttendancePolicyService = require('../services/attendancePolicyService');
+const attendanceScheduler = require('../services/attendanceSchedulerService');
+
+const attendancePolicyService = new AttendancePolicyService();
+
+// Fields an admin can set on a term
+const TERM_FIELDS = ['name', 'semester', 'year', 'startDate', 'endDate', 'breaks', 'holidays', 'isActive'];
+
+// Re-create the term's courses' upcoming sessions and standings after its calendar changes
+const refreshTermCourses = async (termId) => {
+  const courses = await Course.find({ term: termId, isActive: true }).select('_id');
+  courses.forEach(course => {
+    attendanceScheduler.syncCourseInBackground(course._id);
+    attendancePolicyService.refreshStandingsInBackground(course._id);
+  });
+};
+
+// Get academic terms
+const getTerms = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { year, semester, includeInactive } = req.query;
+
+    const query = {};
+    if (year) query.year = parseInt(year);
+    if (semester) query.semester = semester;
+    if (includeInactive !== 'true') query.isActive = true;
+
+    const terms = await AcademicTerm.find(query).sort({ startDate: -1 });
+
+    res.json({
+      success: true,
+      data: { terms }
+    });
+
+  } catch (error) {
+    console.error('Get academic terms error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get academic terms',
+      error: error.message
+    });
+  }
+};
+
+// Get single academic term by ID
+const getTermById = async (req, res) => {
+  try {
+    const term = await AcademicTerm.findById(req.params.id);
+    if (!term) {
+      return res.status(404).json({
+        success: false,
+        message: 'Academic term not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { term }
+    });
+
+  } catch (error) {
+    console.error('Get academic term error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get academic term',
+      error: error.message
+    });
+  }
+};
+
+// Create academic term (Admin only)
+const createTerm = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const existingTerm = await AcademicTerm.findOne({
+      semester: req.body.semester,
+      year: parseInt(req.body.year)
+    });
+    if (existingTerm) {
+      return res.status(400).json({
+        success: false,
+        message: 'An academic term already exists for this semester'
+      });
+    }
+
+    const term = new AcademicTerm(Object.fromEntries(
+      TERM_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+    ));
+    await term.save();
+
+    // Courses already planned for this semester join the new term
+    await Course.updateMany(
+      { semester: term.semester, year: term.year, term: null },
+      { $set: { term: term._id } }
+    );
+    await refreshTermCourses(term._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Academic term created successfully',
+      data: { term }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    console.error('Create academic term error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create academic term',
+      error: error.message
+    });
+  }
+};
+
+// Update academic term (Admin only)
+const updateTerm = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const term = await AcademicTerm.findById(req.params.id);
+    if (!term) {
+      return res.status(404).json({
+        success: false,
+        message: 'Academic term not found'
+      });
+    }
+
+    // Courses keep their semester, so a term in use cannot move to another one
+    const movesSemester = (req.body.semester && req.body.semester !== term.semester) ||
+      (req.body.year && parseInt(req.body.year) !== term.year);
+    if (movesSemester && await Course.exists({ term: term._id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot change the semester of a term that has courses'
+      });
+    }
+
+    TERM_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => term.set(field, req.body[field]));
+    await term.save();
+
+    // Holidays, breaks and dates decide which meetings are held
+    await refreshTermCourses(term._id);
+
+    res.json({
+      success: true,
+      message: 'Academic term updated successfully',
+      data: { term }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'An academic term already exists for this semester'
+      });
+    }
+
+    console.error('Update academic term error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update academic term',
+      error: error.message
+    });
+  }
+};
+
+// Delete academic term (Admin only)
+const deleteTerm = async (req, res) => {
+  try {
+    const term = await AcademicTerm.findById(req.params.id);
+    if (!term) {
+      return res.status(404).json({
+        success: false,
+        message: 'Academic term not found'
+      });
+    }
+
+    const courseCount = await Course.countDocuments({ term: term._id });
+    if (courseCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Academic term is used by ${courseCount} course(s); deactivate it instead`
+      });
+    }
+
+    await AcademicTerm.findByIdAndDelete(term._id);
+
+    res.json({
+      success: true,
+      message: 'Academic term deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete academic term error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete academic term',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getTerms,
+  getTermById,
+  createTerm,
+  updateTerm,
+  deleteTerm
+};
@@ -14,6 +14,15 @@ const courseRoutes = require('./routes/courseRoutes');
 const articleRoutes = require('./routes/articleRoutes');
 const attendanceRoutes = require('./routes/attendanceRoutes');
 const newsRoutes = require('./routes/newsRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const termRoutes = require('./routes/termRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const roomRoutes = require('./routes/roomRoutes');
+
+// Import services
+const attendanceScheduler = require('./services/attendanceSchedulerService');
+const waitlistService = require('./services/waitlistService');
+const attendanceStream = require('./services/attendanceStreamService');
 
 // Import middleware
 const { developmentLogger, productionLogger, errorLogger } = require('./middleware/logger');
@@ -112,6 +121,10 @@ app.use('/api/courses', courseRoutes);
 app.use('/api/articles', articleRoutes);
 app.use('/api/attendance', attendanceRoutes);
 app.use('/api/news', newsRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/terms', termRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/rooms', roomRoutes);
 
 // Health check endpoint
 app.get('/api/health', async (req, res) => {
@@ -242,6 +255,19 @@ app.use('*', (req, res) => {
 const startServer = async () => {
   try {
     await initializeApp();
+
+    // Share live roster events with the other API servers
+    await attendanceStream.start();
+
+    // Create, open and close attendance sessions from course timetables
+    if (process.env.ATTENDANCE_SCHEDULER_ENABLED !== 'false') {
+      attendanceScheduler.start();
+    }
+
+    // Pass seats on when waitlist offers expire
+    if (process.env.WAITLIST_SCHEDULER_ENABLED !== 'false') {
+      waitlistService.start();
+    }
     
     app.listen(PORT, () => {
       console.log(`🚀 StudyWave API server running on port ${PORT}`);
@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Course = require('../models/Course');
 
 // Middleware to verify JWT token
 const authenticate = async (req, res, next) => {
@@ -89,6 +91,55 @@ const requireUser = authorize('student', 'professor');
 // Middleware to allow admin or professor
 const requireAdminOrProfessor = authorize('admin', 'professor');
 
+// Middleware to check if user teaches the course in req.params.id, as its
+// professor or in one of the given staff roles (any staff role if none given)
+const requireCourseStaff = (...staffRoles) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required.'
+      });
+    }
+
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid course ID.'
+        });
+      }
+
+      const course = await Course.findById(req.params.id).select('professor staff');
+      if (!course) {
+        return res.status(404).json({
+          success: false,
+          message: 'Course not found'
+        });
+      }
+
+      if (!course.isStaff(req.user._id, staffRoles)) {
+        return res.status(403).json({
+          success: false,
+          message: staffRoles.length > 0
+            ? `Access denied. Required course role: professor or ${staffRoles.join(' or ')}`
+            : 'Access denied. You are not on the teaching staff of this course.'
+        });
+      }
+
+      // Controllers can tell what the user is allowed to do on the course
+      req.courseRole = course.getStaffRole(req.user._id);
+      next();
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to check course access',
+        error: error.message
+      });
+    }
+  };
+};
+
 // Middleware to check if user owns the resource or is authorized
 const checkOwnership = (resourceField = 'author') => {
   return (req, res, next) => {
@@ -133,6 +184,54 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// How long a live stream token can be used to connect
+const STREAM_TOKEN_SECONDS = 60;
+
+// Middleware to verify a live stream token from the query string, for clients
+// such as the browser's EventSource that cannot send an Authorization header
+const authenticateStream = async (req, res, next) => {
+  if (!req.query.token) {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    const decoded = jwt.verify(req.query.token, process.env.JWT_SECRET || 'your-secret-key');
+    if (decoded.type !== 'attendance_stream' || decoded.sessionId !== req.params.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid stream token.'
+      });
+    }
+
+    const user = await User.findById(decoded.userId).select('-password');
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid stream token.'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      message: error.name === 'TokenExpiredError' ? 'Stream token expired.' : 'Invalid stream token.'
+    });
+  }
+};
+
+// Generate a short-lived token for one user to connect to one session's live stream
+const generateStreamToken = (userId, sessionId) => {
+  const expiresAt = new Date(Date.now() + STREAM_TOKEN_SECONDS * 1000);
+  const token = jwt.sign(
+    { type: 'attendance_stream', userId: userId.toString(), sessionId: sessionId.toString() },
+    process.env.JWT_SECRET || 'your-secret-key',
+    { expiresIn: STREAM_TOKEN_SECONDS }
+  );
+  return { token, expiresAt };
+};
+
 // Generate JWT token
 const generateToken = (userId) => {
   return jwt.sign(
@@ -158,8 +257,11 @@ module.exports = {
   requireAdmin,
   requireUser,
   requireAdminOrProfessor,
+  requireCourseStaff,
   checkOwnership,
   optionalAuth,
+  authenticateStream,
   generateToken,
+  generateStreamToken,
   verifyToken
 };
@@ -0,0 +1,59 @@
+const multer = require('multer');
+const fs = require('fs');
+const path = require('path');
+const { generateRandomString, sanitizeFilename } = require('../utils/helpers');
+
+// Create uploads directory for excuse documents if it doesn't exist
+const excuseUploadsDir = path.join(__dirname, '..', 'uploads', 'excuses');
+if (!fs.existsSync(excuseUploadsDir)) {
+  fs.mkdirSync(excuseUploadsDir, { recursive: true });
+}
+
+// Supporting documents: medical certificates, letters, photos of them
+const EXCUSE_DOCUMENT_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/webp'];
+const EXCUSE_DOCUMENT_MAX_SIZE = 5 * 1024 * 1024; // 5MB
+
+const excuseStorage = multer.diskStorage({
+  destination: (req, file, cb) => cb(null, excuseUploadsDir),
+  filename: (req, file, cb) => cb(null, `${generateRandomString(8)}-${sanitizeFilename(file.originalname)}`)
+});
+
+const excuseUpload = multer({
+  storage: excuseStorage,
+  limits: { fileSize: EXCUSE_DOCUMENT_MAX_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!EXCUSE_DOCUMENT_TYPES.includes(file.mimetype)) {
+      return cb(new Error('Document must be a PDF, JPEG, PNG or WebP file'));
+    }
+    cb(null, true);
+  }
+});
+
+// Middleware to accept an optional excuse document in the "document" field
+const uploadExcuseDocument = (req, res, next) => {
+  excuseUpload.single('document')(req, res, (error) => {
+    if (!error) return next();
+
+    const message = error.code === 'LIMIT_FILE_SIZE'
+      ? 'Document cannot exceed 5MB'
+      : error.message;
+
+    res.status(400).json({
+      success: false,
+      message
+    });
+  });
+};
+
+// Remove an uploaded file when the request it came with is rejected
+const discardUpload = (req) => {
+  if (req.file) {
+    fs.unlink(req.file.path, () => {});
+  }
+};
+
+module.exports = {
+  excuseUploadsDir,
+  uploadExcuseDocument,
+  discardUpload
+};
@@ -111,6 +111,18 @@ const validateCreateCourse = [
   body('year')
     .isInt({ min: 2020, max: new Date().getFullYear() + 5 })
     .withMessage('Year must be between 2020 and 5 years in the future'),
+  body('term')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Term must be a valid academic term ID'),
+  body('startDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Start date must be a valid ISO date'),
+  body('endDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('End date must be a valid ISO date'),
   body('capacity')
     .isInt({ min: 1, max: 500 })
     .withMessage('Capacity must be between 1 and 500'),
@@ -135,10 +147,87 @@ const validateCreateCourse = [
     .trim()
     .isLength({ max: 50 })
     .withMessage('Room must not exceed 50 characters'),
+  body('schedule.roomId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Room must be a valid room ID'),
+  body('attendanceSettings.lateGraceMinutes')
+    .optional()
+    .isInt({ min: 0, max: 120 })
+    .withMessage('Late grace period must be between 0 and 120 minutes'),
+  body('schedule.location.latitude')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  body('schedule.location.longitude')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  body('schedule.location.radiusMeters')
+    .optional()
+    .isInt({ min: 10, max: 5000 })
+    .withMessage('Geofence radius must be between 10 and 5000 meters'),
+  body('attendanceSettings.geofenceMode')
+    .optional()
+    .isIn(['off', 'flag', 'enforce'])
+    .withMessage('Geofence mode must be off, flag, or enforce'),
+  body('attendanceSettings.requireCheckOut')
+    .optional()
+    .isBoolean()
+    .withMessage('Require check-out must be a boolean'),
+  body('attendanceSettings.minimumPresencePercent')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Minimum presence must be between 0 and 100 percent'),
+  body('attendanceSettings.autoSessions')
+    .optional()
+    .isBoolean()
+    .withMessage('Automatic sessions must be a boolean'),
+  body('attendanceSettings.openMinutesBefore')
+    .optional()
+    .isInt({ min: 0, max: 60 })
+    .withMessage('Opening lead time must be between 0 and 60 minutes'),
+  body('attendanceSettings.closeMinutesAfter')
+    .optional()
+    .isInt({ min: 0, max: 60 })
+    .withMessage('Closing delay must be between 0 and 60 minutes'),
+  body('waitlistSettings.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Waitlist enabled must be a boolean'),
+  body('waitlistSettings.offerHours')
+    .optional()
+    .isInt({ min: 1, max: 336 })
+    .withMessage('Offer period must be between 1 and 336 hours'),
+  body('attendancePolicy.maxAbsences')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Maximum absences must be a non-negative integer'),
+  body('attendancePolicy.minimumRate')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Minimum attendance rate must be between 0 and 100'),
+  body('attendancePolicy.countExcusedAbsences')
+    .optional()
+    .isBoolean()
+    .withMessage('Count excused absences must be a boolean'),
+  body('attendancePolicy.warningAbsences')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Warning absences must be a non-negative integer'),
+  body('attendancePolicy.warningRate')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Warning attendance rate must be between 0 and 100'),
   body('prerequisites')
     .optional()
     .isArray()
     .withMessage('Prerequisites must be an array'),
+  body('prerequisites.*')
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z]{2,4}[0-9]{3,4}$/)
+    .withMessage('Prerequisites must be course codes like CS101 or MATH1001'),
   body('syllabus')
     .optional()
     .trim()
@@ -187,16 +276,361 @@ const validateUpdateCourse = [
     .optional()
     .isInt({ min: 2020, max: new Date().getFullYear() + 5 })
     .withMessage('Year must be between 2020 and 5 years in the future'),
+  body('term')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Term must be a valid academic term ID'),
+  body('startDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Start date must be a valid ISO date'),
+  body('endDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('End date must be a valid ISO date'),
   body('capacity')
     .optional()
     .isInt({ min: 1, max: 500 })
     .withMessage('Capacity must be between 1 and 500'),
+  body('attendanceSettings.lateGraceMinutes')
+    .optional()
+    .isInt({ min: 0, max: 120 })
+    .withMessage('Late grace period must be between 0 and 120 minutes'),
+  body('schedule.roomId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Room must be a valid room ID'),
+  body('schedule.location.latitude')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  body('schedule.location.longitude')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  body('schedule.location.radiusMeters')
+    .optional()
+    .isInt({ min: 10, max: 5000 })
+    .withMessage('Geofence radius must be between 10 and 5000 meters'),
+  body('attendanceSettings.geofenceMode')
+    .optional()
+    .isIn(['off', 'flag', 'enforce'])
+    .withMessage('Geofence mode must be off, flag, or enforce'),
+  body('attendanceSettings.requireCheckOut')
+    .optional()
+    .isBoolean()
+    .withMessage('Require check-out must be a boolean'),
+  body('attendanceSettings.minimumPresencePercent')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Minimum presence must be between 0 and 100 percent'),
+  body('attendanceSettings.autoSessions')
+    .optional()
+    .isBoolean()
+    .withMessage('Automatic sessions must be a boolean'),
+  body('attendanceSettings.openMinutesBefore')
+    .optional()
+    .isInt({ min: 0, max: 60 })
+    .withMessage('Opening lead time must be between 0 and 60 minutes'),
+  body('attendanceSettings.closeMinutesAfter')
+    .optional()
+    .isInt({ min: 0, max: 60 })
+    .withMessage('Closing delay must be between 0 and 60 minutes'),
+  body('waitlistSettings.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Waitlist enabled must be a boolean'),
+  body('waitlistSettings.offerHours')
+    .optional()
+    .isInt({ min: 1, max: 336 })
+    .withMessage('Offer period must be between 1 and 336 hours'),
+  body('attendancePolicy.maxAbsences')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Maximum absences must be a non-negative integer'),
+  body('attendancePolicy.minimumRate')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Minimum attendance rate must be between 0 and 100'),
+  body('attendancePolicy.countExcusedAbsences')
+    .optional()
+    .isBoolean()
+    .withMessage('Count excused absences must be a boolean'),
+  body('attendancePolicy.warningAbsences')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Warning absences must be a non-negative integer'),
+  body('attendancePolicy.warningRate')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Warning attendance rate must be between 0 and 100'),
+  body('prerequisites')
+    .optional()
+    .isArray()
+    .withMessage('Prerequisites must be an array'),
+  body('prerequisites.*')
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z]{2,4}[0-9]{3,4}$/)
+    .withMessage('Prerequisites must be course codes like CS101 or MATH1001'),
   body('isPublished')
     .optional()
     .isBoolean()
     .withMessage('isPublished must be a boolean')
 ];
 
+const validateCourseStaff = [
+  body('userId')
+    .isMongoId()
+    .withMessage('Valid user ID is required'),
+  body('role')
+    .optional()
+    .isIn(['ta', 'co_instructor'])
+    .withMessage('Role must be ta or co_instructor')
+];
+
+// Prerequisite override validation rules
+const validatePrerequisiteOverride = [
+  body('studentId')
+    .isMongoId()
+    .withMessage('Valid student ID is required'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+// Course completion validation rules
+const validateCompleteEnrollments = [
+  body('studentIds')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Student IDs must be a non-empty array'),
+  body('studentIds.*')
+    .isMongoId()
+    .withMessage('Each student ID must be valid')
+];
+
+// Course section validation rules
+const sectionDetails = [
+  body('schedule.days')
+    .optional()
+    .isArray()
+    .withMessage('Schedule days must be an array'),
+  body('schedule.days.*')
+    .optional()
+    .isIn(['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'])
+    .withMessage('Invalid day of week'),
+  body('schedule.startTime')
+    .optional()
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Start time must be in HH:MM format'),
+  body('schedule.endTime')
+    .optional()
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('End time must be in HH:MM format'),
+  body('schedule.room')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Room must not exceed 50 characters'),
+  body('schedule.roomId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Room must be a valid room ID'),
+  body('schedule.location.latitude')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  body('schedule.location.longitude')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  body('schedule.location.radiusMeters')
+    .optional()
+    .isInt({ min: 10, max: 5000 })
+    .withMessage('Geofence radius must be between 10 and 5000 meters'),
+  body('staff')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Staff must be a list of at most 20 user IDs'),
+  body('staff.*')
+    .isMongoId()
+    .withMessage('Staff must be valid user IDs'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+const validateCreateSection = [
+  body('code')
+    .trim()
+    .matches(/^[A-Za-z0-9-]{1,10}$/)
+    .withMessage('Section code must be up to 10 letters, digits or dashes'),
+  body('capacity')
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Capacity must be between 1 and 500'),
+  ...sectionDetails
+];
+
+const validateUpdateSection = [
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z0-9-]{1,10}$/)
+    .withMessage('Section code must be up to 10 letters, digits or dashes'),
+  body('capacity')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Capacity must be between 1 and 500'),
+  ...sectionDetails
+];
+
+// Academic term validation rules
+const termDateRanges = [
+  body('breaks')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Breaks must be a list of at most 50 periods'),
+  body('breaks.*.name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Break name must be between 1 and 100 characters'),
+  body('breaks.*.type')
+    .optional()
+    .isIn(['break', 'exams'])
+    .withMessage('Break type must be break or exams'),
+  body('breaks.*.startDate')
+    .isISO8601()
+    .withMessage('Break start date must be a valid ISO date'),
+  body('breaks.*.endDate')
+    .isISO8601()
+    .withMessage('Break end date must be a valid ISO date'),
+  body('holidays')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('Holidays must be a list of at most 100 days'),
+  body('holidays.*.name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Holiday name must be between 1 and 100 characters'),
+  body('holidays.*.date')
+    .isISO8601()
+    .withMessage('Holiday date must be a valid ISO date'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+const validateCreateTerm = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Term name must be between 1 and 100 characters'),
+  body('semester')
+    .isIn(['Fall', 'Spring', 'Summer', 'Winter'])
+    .withMessage('Semester must be Fall, Spring, Summer, or Winter'),
+  body('year')
+    .isInt({ min: 2020, max: new Date().getFullYear() + 5 })
+    .withMessage('Year must be between 2020 and 5 years in the future'),
+  body('startDate')
+    .isISO8601()
+    .withMessage('Start date must be a valid ISO date'),
+  body('endDate')
+    .isISO8601()
+    .withMessage('End date must be a valid ISO date'),
+  ...termDateRanges
+];
+
+const validateUpdateTerm = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Term name must be between 1 and 100 characters'),
+  body('semester')
+    .optional()
+    .isIn(['Fall', 'Spring', 'Summer', 'Winter'])
+    .withMessage('Semester must be Fall, Spring, Summer, or Winter'),
+  body('year')
+    .optional()
+    .isInt({ min: 2020, max: new Date().getFullYear() + 5 })
+    .withMessage('Year must be between 2020 and 5 years in the future'),
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid ISO date'),
+  body('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid ISO date'),
+  ...termDateRanges
+];
+
+// Room validation rules
+const roomDetails = [
+  body('equipment')
+    .optional()
+    .isArray({ max: 30 })
+    .withMessage('Equipment must be a list of at most 30 items'),
+  body('equipment.*')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Equipment names must be between 1 and 50 characters'),
+  body('location.latitude')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  body('location.longitude')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  body('location.radiusMeters')
+    .optional()
+    .isInt({ min: 10, max: 5000 })
+    .withMessage('Geofence radius must be between 10 and 5000 meters'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+const validateCreateRoom = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Room name must be between 1 and 50 characters'),
+  body('building')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Building must be between 1 and 100 characters'),
+  body('capacity')
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Capacity must be between 1 and 1000'),
+  ...roomDetails
+];
+
+const validateUpdateRoom = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Room name must be between 1 and 50 characters'),
+  body('building')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Building must be between 1 and 100 characters'),
+  body('capacity')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Capacity must be between 1 and 1000'),
+  ...roomDetails
+];
+
 // Article validation rules
 const validateCreateArticle = [
   body('title')
@@ -337,6 +771,17 @@ module.exports = {
   // Course validations
   validateCreateCourse,
   validateUpdateCourse,
+  validateCourseStaff,
+  validatePrerequisiteOverride,
+  validateCompleteEnrollments,
+  validateCreateSection,
+  validateUpdateSection,
+  
+  // Academic term validations
+  validateCreateTerm,
+  validateUpdateTerm,
+  validateCreateRoom,
+  validateUpdateRoom,
   
   // Article validations
   validateCreateArticle,
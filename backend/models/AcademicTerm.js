@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const { listScheduledMeetings } = require('../utils/helpers');
+
+// Start of the day a date falls on (server local time)
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const academicTermSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Term name is required'],
+    trim: true,
+    maxlength: [100, 'Term name cannot exceed 100 characters']
+  },
+  semester: {
+    type: String,
+    required: [true, 'Semester is required'],
+    enum: ['Fall', 'Spring', 'Summer', 'Winter']
+  },
+  year: {
+    type: Number,
+    required: [true, 'Year is required'],
+    min: [2020, 'Year must be 2020 or later']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  // Periods without lectures: breaks and exam periods
+  breaks: [{
+    name: {
+      type: String,
+      required: [true, 'Break name is required'],
+      trim: true,
+      maxlength: [100, 'Break name cannot exceed 100 characters']
+    },
+    type: {
+      type: String,
+      enum: ['break', 'exams'],
+      default: 'break'
+    },
+    startDate: {
+      type: Date,
+      required: [true, 'Break start date is required']
+    },
+    endDate: {
+      type: Date,
+      required: [true, 'Break end date is required']
+    }
+  }],
+  holidays: [{
+    name: {
+      type: String,
+      required: [true, 'Holiday name is required'],
+      trim: true,
+      maxlength: [100, 'Holiday name cannot exceed 100 characters']
+    },
+    date: {
+      type: Date,
+      required: [true, 'Holiday date is required']
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Create indexes after schema definition to avoid duplicates
+academicTermSchema.index({ semester: 1, year: 1 }, { unique: true, background: true });
+academicTermSchema.index({ startDate: 1, endDate: 1 }, { background: true });
+
+// Pre-validate middleware to keep every date range inside the term and in order
+academicTermSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must be after the start date');
+  }
+
+  (this.breaks || []).forEach((period, index) => {
+    if (period.endDate < period.startDate) {
+      this.invalidate(`breaks.${index}.endDate`, 'Break must end after it starts');
+    }
+    if (period.startDate < startOfDay(this.startDate) || period.endDate > this.endDate) {
+      this.invalidate(`breaks.${index}.startDate`, 'Break must fall within the term');
+    }
+  });
+
+  (this.holidays || []).forEach((holiday, index) => {
+    if (holiday.date < startOfDay(this.startDate) || holiday.date > this.endDate) {
+      this.invalidate(`holidays.${index}.date`, 'Holiday must fall within the term');
+    }
+  });
+  next();
+});
+
+// Instance method to get why a day has no lectures, or null on a teaching day
+academicTermSchema.methods.getNonTeachingReason = function(date) {
+  const day = startOfDay(date);
+
+  if (day < startOfDay(this.startDate) || day > this.endDate) {
+    return 'Outside the term';
+  }
+
+  const holiday = this.holidays.find(entry => startOfDay(entry.date).getTime() === day.getTime());
+  if (holiday) {
+    return holiday.name;
+  }
+
+  const period = this.breaks.find(entry => day >= startOfDay(entry.startDate) && day <= entry.endDate);
+  return period ? period.name : null;
+};
+
+// Instance method to check if lectures are held on a day
+academicTermSchema.methods.isTeachingDay = function(date) {
+  return this.getNonTeachingReason(date) === null;
+};
+
+// Instance method to list a timetable's meetings in the term, with the ones
+// that fall on non-teaching days marked as skipped
+academicTermSchema.methods.listMeetings = function(schedule, from = this.startDate, to = this.endDate) {
+  return listScheduledMeetings(schedule, from, to).map(meeting => {
+    const skippedFor = this.getNonTeachingReason(meeting.start);
+    return skippedFor ? { ...meeting, skippedFor } : meeting;
+  });
+};
+
+// Static method to find the term for a semester and year
+academicTermSchema.statics.findBySemester = function(semester, year) {
+  return this.findOne({ semester, year: parseInt(year), isActive: true });
+};
+
+module.exports = mongoose.model('AcademicTerm', academicTermSchema);
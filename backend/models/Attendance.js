@@ -0,0 +1,380 @@
+const mongoose = require('mongoose');
+
+const attendanceSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student is required']
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AttendanceSession',
+    required: [true, 'Attendance session is required']
+  },
+  status: {
+    type: String,
+    enum: ['present', 'late', 'absent', 'excused'],
+    default: 'present'
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  },
+  method: {
+    type: String,
+    enum: ['qr', 'code', 'manual', 'system'],
+    default: 'qr'
+  },
+  location: {
+    latitude: {
+      type: Number
+    },
+    longitude: {
+      type: Number
+    },
+    accuracy: {
+      type: Number
+    }
+  },
+  distanceMeters: {
+    type: Number,
+    default: null
+  },
+  deviceId: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Device identifier cannot exceed 200 characters'],
+    default: null
+  },
+  flags: [{
+    type: String,
+    enum: ['outside_geofence', 'location_missing', 'device_changed', 'missing_check_out', 'offline_sync']
+  }],
+  // Departure, for sessions that require a check-out scan
+  checkedOutAt: {
+    type: Date,
+    default: null
+  },
+  minutesPresent: {
+    type: Number,
+    default: null
+  },
+  presencePercent: {
+    type: Number,
+    default: null
+  },
+  // Set when the scan was made offline and uploaded later
+  syncedAt: {
+    type: Date,
+    default: null
+  },
+  // Set when the check-out scan was made offline and uploaded later
+  checkOutSyncedAt: {
+    type: Date,
+    default: null
+  },
+  // Offline scans cannot prove the code was scanned in the room, so records
+  // they create or change are left out of every count until course staff approve them
+  syncReview: {
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: null
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reviewedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  history: [{
+    action: {
+      type: String,
+      enum: ['create', 'update', 'delete'],
+      required: true
+    },
+    previousStatus: {
+      type: String,
+      default: null
+    },
+    newStatus: {
+      type: String,
+      default: null
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    }
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Create indexes after schema definition to avoid duplicates
+attendanceSchema.index({ course: 1, recordedAt: -1 }, { background: true });
+attendanceSchema.index({ course: 1, student: 1, recordedAt: -1 }, { background: true });
+attendanceSchema.index({ student: 1, recordedAt: -1 }, { background: true });
+attendanceSchema.index({ course: 1, session: 1 }, { background: true });
+attendanceSchema.index({ session: 1, student: 1 }, { unique: true, background: true });
+attendanceSchema.index({ course: 1, flags: 1 }, { background: true });
+attendanceSchema.index({ course: 1, deviceId: 1 }, { background: true });
+attendanceSchema.index({ course: 1, 'syncReview.status': 1 }, { background: true });
+// One student per device per session
+attendanceSchema.index(
+  { session: 1, deviceId: 1 },
+  { unique: true, background: true, partialFilterExpression: { deviceId: { $type: 'string' } } }
+);
+
+// Instance method to apply a manual change and record it in the history
+attendanceSchema.methods.applyChange = function(action, { status, changedBy, reason }) {
+  const previousStatus = this.isNew || this.isDeleted ? null : this.status;
+
+  if (action === 'delete') {
+    if (this.isDeleted) {
+      throw new Error('Attendance record is already deleted');
+    }
+    this.isDeleted = true;
+  } else {
+    this.status = status;
+    this.isDeleted = false;
+  }
+
+  this.history.push({
+    action,
+    previousStatus,
+    newStatus: action === 'delete' ? null : status,
+    changedBy,
+    changedAt: new Date(),
+    reason
+  });
+
+  // A change made by hand replaces the offline scan that was waiting for review
+  if (this.syncReview && this.syncReview.status === 'pending') {
+    this.syncReview = { status: null, reviewedBy: null, reviewedAt: null };
+  }
+
+  return this;
+};
+
+// Instance method to approve or reject the offline scans waiting for review.
+// A rejected check-in becomes an absence; a rejected check-out is undone
+attendanceSchema.methods.reviewSync = function(decision, { session, reviewedBy, reason }) {
+  if (!this.syncReview || this.syncReview.status !== 'pending') {
+    throw new Error('Attendance record has no offline scan waiting for review');
+  }
+
+  if (decision === 'rejected') {
+    if (this.syncedAt) {
+      this.applyChange('update', { status: 'absent', changedBy: reviewedBy, reason });
+      Object.assign(this, { checkedOutAt: null, minutesPresent: null, presencePercent: null });
+    } else {
+      this.checkedOutAt = null;
+      if (session.requiresCheckOut && session.finalizedAt) {
+        this.settle(session);
+      } else {
+        Object.assign(this, { minutesPresent: null, presencePercent: null });
+      }
+    }
+  }
+
+  this.syncReview = { status: decision, reviewedBy, reviewedAt: new Date() };
+  return this;
+};
+
+// Instance method to record the student leaving a session
+attendanceSchema.methods.checkOut = function(session, at = new Date()) {
+  if (this.checkedOutAt) {
+    throw new Error('You have already checked out of this session');
+  }
+
+  this.checkedOutAt = at;
+  Object.assign(this, session.measurePresence(this.recordedAt, at));
+  this.flags = this.flags.filter(flag => flag !== 'missing_check_out');
+  return this;
+};
+
+// Instance method to settle time on site for a check-in recorded after its
+// session was settled, the same way settlePresence does
+attendanceSchema.methods.settle = function(session) {
+  if (this.checkedOutAt) {
+    Object.assign(this, session.measurePresence(this.recordedAt, this.checkedOutAt));
+  } else {
+    Object.assign(this, { minutesPresent: 0, presencePercent: 0 });
+    if (!this.flags.includes('missing_check_out')) {
+      this.flags.push('missing_check_out');
+    }
+  }
+  return this;
+};
+
+// Static method to settle time on site once a session requiring check-out closes:
+// stays are measured against the final closing time, and students who never
+// checked out are flagged with no time counted
+attendanceSchema.statics.settlePresence = async function(session) {
+  const records = await this.find({
+    session: session._id,
+    status: { $in: ['present', 'late'] },
+    method: { $in: ['qr', 'code'] },
+    isDeleted: { $ne: true }
+  }).select('recordedAt checkedOutAt');
+
+  const operations = records.map(record => ({
+    updateOne: {
+      filter: { _id: record._id },
+      update: record.checkedOutAt
+        ? { $set: session.measurePresence(record.recordedAt, record.checkedOutAt) }
+        : {
+          $set: { minutesPresent: 0, presencePercent: 0 },
+          $addToSet: { flags: 'missing_check_out' }
+        }
+    }
+  }));
+
+  if (operations.length > 0) {
+    await this.bulkWrite(operations, { ordered: false });
+  }
+  return operations.length;
+};
+
+// Static method to count a course's records per student and per status, for
+// one student or a list of them if given.
+// Check-ins that stayed less than minimumPresence percent count as absences
+attendanceSchema.statics.summarize = async function(courseId, sessionIds, { minimumPresence = 0, studentId, studentIds } = {}) {
+  const match = {
+    course: courseId,
+    session: { $in: sessionIds },
+    isDeleted: { $ne: true },
+    'syncReview.status': { $ne: 'pending' }
+  };
+  if (studentId) match.student = studentId;
+  else if (studentIds) match.student = { $in: studentIds };
+
+  const isShortStay = {
+    $and: [
+      { $in: ['$status', ['present', 'late']] },
+      { $isNumber: '$presencePercent' },
+      { $lt: ['$presencePercent', minimumPresence] }
+    ]
+  };
+  const countStatus = (status) => ({ $sum: { $cond: [{ $eq: ['$status', status] }, 1, 0] } });
+
+  const [aggregation] = await this.aggregate([
+    { $match: match },
+    {
+      $addFields: {
+        shortStay: isShortStay,
+        status: { $cond: [isShortStay, 'absent', '$status'] }
+      }
+    },
+    {
+      $facet: {
+        byStudent: [
+          {
+            $group: {
+              _id: '$student',
+              present: countStatus('present'),
+              late: countStatus('late'),
+              absent: countStatus('absent'),
+              excused: countStatus('excused'),
+              shortStays: { $sum: { $cond: ['$shortStay', 1, 0] } },
+              minutesPresent: { $sum: { $ifNull: ['$minutesPresent', 0] } },
+              lastAttendance: {
+                $max: {
+                  $cond: [{ $in: ['$status', ['present', 'late']] }, '$recordedAt', null]
+                }
+              }
+            }
+          }
+        ],
+        byStatus: [
+          { $group: { _id: '$status', count: { $sum: 1 } } }
+        ]
+      }
+    }
+  ]);
+
+  return aggregation;
+};
+
+// Static method to record every expected student without a check-in as absent
+attendanceSchema.statics.markAbsentees = async function(session, course) {
+  const expectedStudents = course.enrolledStudents
+    .filter(enrollment => enrollment.status === 'enrolled' && enrollment.enrolledAt <= session.closesAt)
+    // Students of other sections were not expected at a section's session
+    .filter(enrollment => session.isForSection(enrollment.section))
+    .map(enrollment => enrollment.student._id || enrollment.student);
+
+  const existing = await this.find({ session: session._id }).select('student');
+  const recorded = new Set(existing.map(record => record.student.toString()));
+
+  const absentees = expectedStudents
+    .filter(studentId => !recorded.has(studentId.toString()))
+    .map(studentId => ({
+      course: course._id,
+      student: studentId,
+      session: session._id,
+      status: 'absent',
+      method: 'system',
+      recordedAt: session.closesAt
+    }));
+
+  if (absentees.length === 0) {
+    return 0;
+  }
+
+  try {
+    await this.insertMany(absentees, { ordered: false });
+  } catch (error) {
+    // Students who checked in while we were marking absences keep their record
+    if (error.code !== 11000) throw error;
+  }
+  return absentees.length;
+};
+
+// Static method to remove the absences marked when a session closed, for
+// meetings cancelled after the fact. Deleted records keep their history
+attendanceSchema.statics.clearAbsentees = function(session, { changedBy, reason }) {
+  return this.updateMany(
+    { session: session._id, status: 'absent', method: 'system', isDeleted: { $ne: true } },
+    {
+      $set: { isDeleted: true },
+      $push: {
+        history: {
+          action: 'delete',
+          previousStatus: 'absent',
+          newStatus: null,
+          changedBy,
+          changedAt: new Date(),
+          reason
+        }
+      }
+    }
+  );
+};
+
+module.exports = mongoose.model('Attendance', attendanceSchema);
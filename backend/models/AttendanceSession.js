@@ -0,0 +1,472 @@
+const mongoose = require('mongoose');
+const { generateRandomString, getScheduledMeeting, listScheduledMeetings } = require('../utils/helpers');
+
+// Default length of a session opened without an explicit duration
+const DEFAULT_SESSION_MINUTES = 30;
+
+const attendanceSessionSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  // Section the session is held for; sessions without one are for the whole course
+  section: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  opensAt: {
+    type: Date,
+    required: [true, 'Session opening time is required'],
+    default: Date.now
+  },
+  closesAt: {
+    type: Date,
+    required: [true, 'Session closing time is required']
+  },
+  startsAt: {
+    type: Date,
+    default: null
+  },
+  lateAfter: {
+    type: Date,
+    default: null
+  },
+  // A second scan checks the student out, for labs and workshops
+  requiresCheckOut: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Session creator is required']
+  },
+  state: {
+    type: String,
+    enum: ['scheduled', 'open', 'closed', 'cancelled'],
+    default: 'open'
+  },
+  // Sessions pre-created from the course timetable, as opposed to opened by hand
+  source: {
+    type: String,
+    enum: ['manual', 'schedule'],
+    default: 'manual'
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Cancellation reason cannot exceed 500 characters'],
+    default: null
+  },
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  finalizedAt: {
+    type: Date,
+    default: null
+  },
+  qrSecret: {
+    type: String,
+    default: () => generateRandomString(32),
+    select: false // Only loaded to sign and verify QR codes
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Create indexes after schema definition to avoid duplicates
+attendanceSessionSchema.index({ course: 1, opensAt: -1 }, { background: true });
+attendanceSessionSchema.index({ state: 1, closesAt: 1 }, { background: true });
+attendanceSessionSchema.index({ course: 1, finalizedAt: 1, closesAt: 1 }, { background: true });
+// One scheduled session per section and start time (parallel sections meet at the same time)
+attendanceSessionSchema.index(
+  { course: 1, section: 1, startsAt: 1 },
+  { unique: true, partialFilterExpression: { source: 'schedule' }, background: true }
+);
+
+// Virtual for the state as of now (an open session past its closing time is closed)
+attendanceSessionSchema.virtual('currentState').get(function() {
+  const now = new Date();
+  if (this.state === 'cancelled') {
+    return 'cancelled';
+  }
+  if (this.state === 'closed' || this.closesAt <= now) {
+    return 'closed';
+  }
+  return this.opensAt <= now ? 'open' : 'scheduled';
+});
+
+// Virtual for session length in minutes
+attendanceSessionSchema.virtual('durationMinutes').get(function() {
+  return Math.round((this.closesAt - this.opensAt) / 60000);
+});
+
+// Pre-validate middleware to keep the session window consistent
+attendanceSessionSchema.pre('validate', function(next) {
+  if (this.opensAt && this.closesAt && this.closesAt <= this.opensAt) {
+    this.invalidate('closesAt', 'Session must close after it opens');
+  }
+  next();
+});
+
+// Instance method to check if the students of a section (null for none) attend the session
+attendanceSessionSchema.methods.isForSection = function(sectionId) {
+  return !this.section || Boolean(sectionId && this.section.toString() === sectionId.toString());
+};
+
+// Instance method to check if students can check in at a given time
+attendanceSessionSchema.methods.isOpen = function(at = new Date()) {
+  return !['closed', 'cancelled'].includes(this.state) && this.opensAt <= at && this.closesAt > at;
+};
+
+// Instance method to check if a time falls inside the session window, even once closed
+attendanceSessionSchema.methods.coversTime = function(at) {
+  return this.opensAt <= at && this.closesAt > at;
+};
+
+// Instance method to classify a check-in as present or late
+attendanceSessionSchema.methods.classifyCheckIn = function(at = new Date()) {
+  return this.lateAfter && at > this.lateAfter ? 'late' : 'present';
+};
+
+// Instance method to measure how long a student stayed between two scans
+attendanceSessionSchema.methods.measurePresence = function(checkedInAt, checkedOutAt) {
+  const startsAt = this.startsAt || this.opensAt;
+  const from = Math.max(checkedInAt.getTime(), startsAt.getTime());
+  const to = Math.min(checkedOutAt.getTime(), this.closesAt.getTime());
+  const minutesPresent = Math.max(0, Math.round((to - from) / 60000));
+  const sessionMinutes = Math.round((this.closesAt - startsAt) / 60000);
+
+  return {
+    minutesPresent,
+    presencePercent: sessionMinutes > 0
+      ? Math.min(100, Math.round((minutesPresent / sessionMinutes) * 100))
+      : 100
+  };
+};
+
+// Instance method to push the closing time back
+attendanceSessionSchema.methods.extend = function(minutes) {
+  if (['closed', 'cancelled'].includes(this.currentState)) {
+    throw new Error(`Cannot extend a ${this.currentState} session`);
+  }
+
+  this.closesAt = new Date(this.closesAt.getTime() + minutes * 60 * 1000);
+  return this.save();
+};
+
+// Instance method to close the session
+attendanceSessionSchema.methods.close = async function(userId) {
+  if (this.state === 'closed') {
+    throw new Error('Session is already closed');
+  }
+  if (this.state === 'cancelled') {
+    throw new Error('Session has been cancelled');
+  }
+
+  const now = new Date();
+  if (this.opensAt > now) {
+    throw new Error('Session has not opened yet');
+  }
+
+  this.state = 'closed';
+  this.closedAt = now;
+  this.closedBy = userId || null;
+  if (this.closesAt > now) {
+    this.closesAt = now;
+  }
+  await this.save();
+  return this.finalize();
+};
+
+// Instance method to cancel a meeting so that it is not counted as held
+attendanceSessionSchema.methods.cancel = async function(userId, reason) {
+  if (this.state === 'cancelled') {
+    throw new Error('Session is already cancelled');
+  }
+
+  // A meeting cancelled after it closed should not leave absences behind
+  if (this.finalizedAt) {
+    await mongoose.model('Attendance').clearAbsentees(this, {
+      changedBy: userId,
+      reason: reason ? `Meeting cancelled: ${reason}` : 'Meeting cancelled'
+    });
+  }
+
+  this.state = 'cancelled';
+  this.cancelledAt = new Date();
+  this.cancelledBy = userId || null;
+  this.cancellationReason = reason || null;
+  return this.save();
+};
+
+// Instance method to mark students who never checked in as absent
+attendanceSessionSchema.methods.finalize = async function() {
+  if (this.finalizedAt || this.state === 'cancelled') {
+    return this;
+  }
+
+  const course = await mongoose.model('Course').findById(this.course).select('enrolledStudents');
+  if (course) {
+    await mongoose.model('Attendance').markAbsentees(this, course);
+  }
+  if (this.requiresCheckOut) {
+    await mongoose.model('Attendance').settlePresence(this);
+  }
+
+  this.state = 'closed';
+  this.finalizedAt = new Date();
+  return this.save();
+};
+
+// Instance method to count check-ins so far against the students expected
+attendanceSessionSchema.methods.getRosterCounts = async function() {
+  const course = await mongoose.model('Course').findById(this.course).select('enrolledStudents');
+  const expected = course
+    ? course.enrolledStudents
+      .filter(enrollment => enrollment.status === 'enrolled' && this.isForSection(enrollment.section))
+      .length
+    : 0;
+
+  const counts = await mongoose.model('Attendance').aggregate([
+    {
+      $match: {
+        session: this._id,
+        status: { $in: ['present', 'late'] },
+        isDeleted: { $ne: true },
+        'syncReview.status': { $ne: 'pending' }
+      }
+    },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+  const countByStatus = Object.fromEntries(counts.map(entry => [entry._id, entry.count]));
+  const present = countByStatus.present || 0;
+  const late = countByStatus.late || 0;
+
+  return { present, late, checkedIn: present + late, expected };
+};
+
+// Static method to open a new session for a course
+attendanceSessionSchema.statics.openForCourse = async function(course, userId, options = {}) {
+  const opensAt = options.opensAt ? new Date(options.opensAt) : new Date();
+  const durationMinutes = options.durationMinutes || DEFAULT_SESSION_MINUTES;
+  const closesAt = new Date(opensAt.getTime() + durationMinutes * 60 * 1000);
+
+  const section = options.section ? course.getSection(options.section) : null;
+  if (options.section && (!section || !section.isActive)) {
+    throw new Error('Section not found');
+  }
+
+  // Sessions of the same course must not overlap, unless they are for different sections
+  const overlapping = await this.findOne({
+    course: course._id,
+    ...(section && { section: { $in: [null, section._id] } }),
+    state: { $nin: ['closed', 'cancelled'] },
+    opensAt: { $lt: closesAt },
+    closesAt: { $gt: opensAt }
+  });
+
+  if (overlapping) {
+    throw new Error(section
+      ? `Another attendance session is already open for section ${section.code} during that time`
+      : 'Another attendance session is already open for this course during that time');
+  }
+
+  // Lateness counts from the scheduled start of the lecture, or from when
+  // the session opened if that is later or the course does not meet that day
+  const schedule = section && section.schedule.days.length > 0 ? section.schedule : course.schedule;
+  const meeting = getScheduledMeeting(schedule, opensAt);
+  const startsAt = meeting && (!meeting.end || opensAt < meeting.end) && meeting.start > opensAt
+    ? meeting.start
+    : opensAt;
+  const graceMinutes = course.attendanceSettings ? course.attendanceSettings.lateGraceMinutes : 0;
+
+  return this.create({
+    course: course._id,
+    section: section ? section._id : null,
+    opensAt,
+    closesAt,
+    startsAt,
+    lateAfter: new Date(startsAt.getTime() + (graceMinutes || 0) * 60 * 1000),
+    requiresCheckOut: options.requiresCheckOut !== undefined
+      ? options.requiresCheckOut
+      : Boolean(course.attendanceSettings && course.attendanceSettings.requireCheckOut),
+    createdBy: userId,
+    state: opensAt > new Date() ? 'scheduled' : 'open'
+  });
+};
+
+// Static method to create sessions for a course's remaining scheduled meetings,
+// those of the whole course and of each section, and drop upcoming ones that no
+// longer match its timetable or teaching dates
+attendanceSessionSchema.statics.syncSchedule = async function(course, now = new Date()) {
+  const settings = course.attendanceSettings || {};
+  const minutes = (value) => (value || 0) * 60 * 1000;
+
+  // Teaching dates come from the course, or else from its academic term
+  const term = course.term && !course.term.listMeetings
+    ? await mongoose.model('AcademicTerm').findById(course.term)
+    : course.term;
+  const startDate = course.startDate || (term && term.startDate);
+  const endDate = course.endDate || (term && term.endDate);
+
+  let meetings = [];
+  if (settings.autoSessions && course.isActive && startDate && endDate) {
+    const from = startDate > now ? startDate : now;
+    meetings = course.getMeetings()
+      .filter(({ schedule }) => schedule.startTime)
+      .flatMap(({ section, schedule }) => {
+        // Holidays, breaks and exam periods have no meetings
+        const scheduled = term
+          ? term.listMeetings(schedule, from, endDate).filter(meeting => !meeting.skippedFor)
+          : listScheduledMeetings(schedule, from, endDate);
+        return scheduled.map(meeting => {
+          const ends = meeting.end && meeting.end > meeting.start
+            ? meeting.end
+            : new Date(meeting.start.getTime() + minutes(DEFAULT_SESSION_MINUTES));
+          return {
+            section: section ? section._id : null,
+            startsAt: meeting.start,
+            opensAt: new Date(meeting.start.getTime() - minutes(settings.openMinutesBefore)),
+            closesAt: new Date(ends.getTime() + minutes(settings.closeMinutesAfter))
+          };
+        });
+      })
+      .filter(meeting => meeting.closesAt > now);
+  }
+
+  const upcoming = await this.find({
+    course: course._id,
+    closesAt: { $gt: now },
+    finalizedAt: null
+  });
+  const keyOf = (session) => `${session.section || ''}:${session.startsAt.getTime()}`;
+  const scheduled = new Map(upcoming
+    .filter(session => session.source === 'schedule')
+    .map(session => [keyOf(session), session]));
+  const wanted = new Set(meetings.map(keyOf));
+  const result = { created: 0, updated: 0, removed: 0 };
+
+  // Meetings that have not opened yet follow changes to the timetable; cancelled ones stay cancelled
+  const stale = [...scheduled.values()].filter(session =>
+    session.opensAt > now && !wanted.has(keyOf(session))
+  );
+  if (stale.length > 0) {
+    await this.deleteMany({ _id: { $in: stale.map(session => session._id) } });
+    result.removed = stale.length;
+  }
+
+  const toCreate = [];
+  for (const meeting of meetings) {
+    const existing = scheduled.get(keyOf(meeting));
+    if (existing) {
+      if (existing.state === 'scheduled' && existing.opensAt > now &&
+          (existing.opensAt.getTime() !== meeting.opensAt.getTime() ||
+           existing.closesAt.getTime() !== meeting.closesAt.getTime())) {
+        existing.opensAt = meeting.opensAt;
+        existing.closesAt = meeting.closesAt;
+        await existing.save();
+        result.updated += 1;
+      }
+      continue;
+    }
+
+    // Leave the slot to a session someone already opened by hand for the same students
+    const overlapping = upcoming.some(session =>
+      session.source !== 'schedule' && session.state !== 'cancelled' &&
+      session.opensAt < meeting.closesAt && session.closesAt > meeting.opensAt &&
+      (!session.section || !meeting.section || session.section.toString() === meeting.section.toString())
+    );
+    if (overlapping) continue;
+
+    toCreate.push({
+      course: course._id,
+      ...meeting,
+      lateAfter: new Date(meeting.startsAt.getTime() + minutes(settings.lateGraceMinutes)),
+      requiresCheckOut: Boolean(settings.requireCheckOut),
+      createdBy: course.professor._id || course.professor,
+      source: 'schedule',
+      state: meeting.opensAt > now ? 'scheduled' : 'open'
+    });
+  }
+
+  if (toCreate.length > 0) {
+    try {
+      const created = await this.insertMany(toCreate, { ordered: false });
+      result.created = created.length;
+    } catch (error) {
+      // Another server created some of the same meetings first
+      if (error.code !== 11000) throw error;
+      result.created = error.insertedDocs ? error.insertedDocs.length : 0;
+    }
+  }
+
+  return result;
+};
+
+// Static method to find the session currently accepting check-ins for a course.
+// With a section (null for none), only sessions its students attend are considered
+attendanceSessionSchema.statics.findOpenForCourse = function(courseId, { at = new Date(), section } = {}) {
+  const query = {
+    course: courseId,
+    state: { $nin: ['closed', 'cancelled'] },
+    opensAt: { $lte: at },
+    closesAt: { $gt: at }
+  };
+  if (section !== undefined) query.section = { $in: [null, section] };
+
+  return this.findOne(query).sort({ opensAt: -1 });
+};
+
+// Static method to find finalized sessions that were held for a course. With a
+// section (null for none), only sessions its students attend are included
+attendanceSessionSchema.statics.findHeld = async function(courseId, { startDate, endDate, section } = {}) {
+  const query = { course: courseId, finalizedAt: { $ne: null }, state: { $ne: 'cancelled' } };
+  if (startDate || endDate) {
+    query.opensAt = {};
+    if (startDate) query.opensAt.$gte = new Date(startDate);
+    if (endDate) query.opensAt.$lte = new Date(endDate);
+  }
+  if (section !== undefined) query.section = { $in: [null, section] };
+
+  const sessions = await this.find(query).sort({ opensAt: 1 });
+
+  // Sessions on the term's non-teaching days do not count
+  const course = await mongoose.model('Course').findById(courseId).select('term').populate('term');
+  if (!course || !course.term) {
+    return sessions;
+  }
+  return sessions.filter(session => course.term.isTeachingDay(session.startsAt || session.opensAt));
+};
+
+// Static method to close and finalize sessions whose closing time has passed
+attendanceSessionSchema.statics.finalizeExpired = async function(courseId) {
+  const query = { finalizedAt: null, state: { $ne: 'cancelled' }, closesAt: { $lte: new Date() } };
+  if (courseId) query.course = courseId;
+
+  const sessions = await this.find(query);
+  for (const session of sessions) {
+    await session.finalize();
+  }
+  return sessions.length;
+};
+
+module.exports = mongoose.model('AttendanceSession', attendanceSessionSchema);
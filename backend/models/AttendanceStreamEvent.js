@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Live roster events, passed between API servers through a capped collection
+// that every server tails (see attendanceStreamService)
+const attendanceStreamEventSchema = new mongoose.Schema({
+  // Null for the markers servers write when they start listening
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AttendanceSession',
+    default: null
+  },
+  event: {
+    type: String,
+    required: [true, 'Event name is required']
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  // Events are only needed for a moment; the oldest are overwritten once the collection is full
+  capped: { size: 16 * 1024 * 1024, max: 50000 },
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+module.exports = mongoose.model('AttendanceStreamEvent', attendanceStreamEventSchema);
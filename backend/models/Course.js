@@ -1,4 +1,91 @@
 const mongoose = require('mongoose');
+const { calculateAttendanceRate, findOverlappingDays, getEnrollmentClashPolicy } = require('../utils/helpers');
+
+// Format of the course codes listed as prerequisites, like CS101 or MATH1001
+const PREREQUISITE_CODE = /^[A-Z]{2,4}[0-9]{3,4}$/;
+
+// Fields of a weekly timetable, used by the course and by each of its sections.
+// A function so that every schema path gets its own definition
+const scheduleFields = () => ({
+  days: [{
+    type: String,
+    enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
+  }],
+  startTime: {
+    type: String,
+    match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Start time must be in HH:MM format']
+  },
+  endTime: {
+    type: String,
+    match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'End time must be in HH:MM format']
+  },
+  // Managed room the meetings are held in; room and location are filled in from it
+  roomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    default: null
+  },
+  room: {
+    type: String,
+    trim: true
+  },
+  location: {
+    latitude: {
+      type: Number,
+      min: [-90, 'Latitude must be between -90 and 90'],
+      max: [90, 'Latitude must be between -90 and 90']
+    },
+    longitude: {
+      type: Number,
+      min: [-180, 'Longitude must be between -180 and 180'],
+      max: [180, 'Longitude must be between -180 and 180']
+    },
+    radiusMeters: {
+      type: Number,
+      default: 100,
+      min: [10, 'Geofence radius must be at least 10 meters'],
+      max: [5000, 'Geofence radius cannot exceed 5000 meters']
+    }
+  }
+});
+
+// Turn a schedule location into a geofence, or null without coordinates
+const toGeofence = (location) => {
+  if (!location || location.latitude === undefined || location.longitude === undefined) {
+    return null;
+  }
+  return {
+    latitude: location.latitude,
+    longitude: location.longitude,
+    radiusMeters: location.radiusMeters
+  };
+};
+
+// Check if two schedules are held in the same room: managed rooms are compared
+// by ID, free-text ones by name without regard to case
+const isSameRoom = (a, b) => {
+  if (!a.room || !b.room) {
+    return false;
+  }
+  return a.roomId && b.roomId
+    ? a.roomId.toString() === b.roomId.toString()
+    : a.room.toLowerCase() === b.room.toLowerCase();
+};
+
+// Describe one weekly meeting of a course for clash reports
+const describeMeeting = (course, meeting) => ({
+  _id: course._id,
+  courseCode: course.courseCode,
+  title: course.title,
+  section: meeting.section ? meeting.section.code : null,
+  schedule: {
+    days: meeting.schedule.days,
+    startTime: meeting.schedule.startTime,
+    endTime: meeting.schedule.endTime,
+    roomId: meeting.schedule.roomId,
+    room: meeting.schedule.room
+  }
+});
 
 const courseSchema = new mongoose.Schema({
   title: {
@@ -25,6 +112,23 @@ const courseSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Professor is required']
   },
+  // Teaching assistants and co-instructors who can run attendance for the course
+  staff: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Staff member is required']
+    },
+    role: {
+      type: String,
+      enum: ['ta', 'co_instructor'],
+      default: 'ta'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   department: {
     type: String,
     required: [true, 'Department is required'],
@@ -47,22 +151,92 @@ const courseSchema = new mongoose.Schema({
     min: [2020, 'Year must be 2020 or later'],
     max: [new Date().getFullYear() + 5, 'Year cannot be more than 5 years in the future']
   },
-  schedule: {
-    days: [{
-      type: String,
-      enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
-    }],
-    startTime: {
-      type: String,
-      match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Start time must be in HH:MM format']
+  // Academic calendar the course runs in, for its teaching dates, breaks and holidays
+  term: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicTerm',
+    default: null
+  },
+  // First and last day of teaching (the term's dates unless set), used to
+  // create attendance sessions from the schedule
+  startDate: {
+    type: Date,
+    default: null
+  },
+  endDate: {
+    type: Date,
+    default: null
+  },
+  schedule: scheduleFields(),
+  attendanceSettings: {
+    lateGraceMinutes: {
+      type: Number,
+      default: 10,
+      min: [0, 'Late grace period cannot be negative'],
+      max: [120, 'Late grace period cannot exceed 120 minutes']
     },
-    endTime: {
+    geofenceMode: {
       type: String,
-      match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'End time must be in HH:MM format']
+      enum: ['off', 'flag', 'enforce'],
+      default: 'flag'
     },
-    room: {
-      type: String,
-      trim: true
+    // Students scan again when they leave, and the time between the scans is recorded
+    requireCheckOut: {
+      type: Boolean,
+      default: false
+    },
+    minimumPresencePercent: {
+      type: Number,
+      default: 0,
+      min: [0, 'Minimum presence cannot be negative'],
+      max: [100, 'Minimum presence cannot exceed 100%']
+    },
+    // Sessions are created for every scheduled meeting and open and close on their own
+    autoSessions: {
+      type: Boolean,
+      default: false
+    },
+    openMinutesBefore: {
+      type: Number,
+      default: 5,
+      min: [0, 'Opening lead time cannot be negative'],
+      max: [60, 'Opening lead time cannot exceed 60 minutes']
+    },
+    closeMinutesAfter: {
+      type: Number,
+      default: 10,
+      min: [0, 'Closing delay cannot be negative'],
+      max: [60, 'Closing delay cannot exceed 60 minutes']
+    }
+  },
+  // Minimum attendance a student needs to stay eligible for the final exam
+  attendancePolicy: {
+    maxAbsences: {
+      type: Number,
+      default: null,
+      min: [0, 'Maximum absences cannot be negative']
+    },
+    minimumRate: {
+      type: Number,
+      default: null,
+      min: [0, 'Minimum attendance rate cannot be negative'],
+      max: [100, 'Minimum attendance rate cannot exceed 100%']
+    },
+    countExcusedAbsences: {
+      type: Boolean,
+      default: false
+    },
+    // Thresholds for warning students before they are barred
+    warningAbsences: {
+      type: Number,
+      default: null,
+      min: [0, 'Warning absences cannot be negative']
+    },
+    warningRate: {
+      type: Number,
+      default: null,
+      min: [0, 'Warning attendance rate cannot be negative'],
+      max: [100, 'Warning attendance rate cannot exceed 100%']
     }
   },
   capacity: {
@@ -71,6 +245,33 @@ const courseSchema = new mongoose.Schema({
     min: [1, 'Capacity must be at least 1'],
     max: [500, 'Capacity cannot exceed 500']
   },
+  // Groups the course is taught in, each with its own timetable, seats and
+  // teaching assistants. The course schedule holds the meetings all groups attend
+  sections: [{
+    code: {
+      type: String,
+      required: [true, 'Section code is required'],
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z0-9-]{1,10}$/, 'Section code must be up to 10 letters, digits or dashes']
+    },
+    schedule: scheduleFields(),
+    capacity: {
+      type: Number,
+      required: [true, 'Section capacity is required'],
+      min: [1, 'Capacity must be at least 1'],
+      max: [500, 'Capacity cannot exceed 500']
+    },
+    // Members of the course staff who teach this section
+    staff: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  }],
   enrolledStudents: [{
     student: {
       type: mongoose.Schema.Types.ObjectId,
@@ -84,12 +285,86 @@ const courseSchema = new mongoose.Schema({
       type: String,
       enum: ['enrolled', 'dropped', 'completed'],
       default: 'enrolled'
+    },
+    // Section the student attends, for courses taught in sections
+    section: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    // Last standing under the attendance policy, to notice when it gets worse
+    attendanceStanding: {
+      type: String,
+      enum: ['good', 'warning', 'barred'],
+      default: 'good'
     }
   }],
+  // Students waiting for a seat, first in line first
+  waitlist: [{
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Student is required']
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Section the student is waiting for a seat in
+    section: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    // Set when a seat frees up; it is held for the student until the offer expires
+    offeredAt: {
+      type: Date,
+      default: null
+    },
+    offerExpiresAt: {
+      type: Date,
+      default: null
+    }
+  }],
+  waitlistSettings: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    // How long a promoted student has to accept the seat
+    offerHours: {
+      type: Number,
+      default: 48,
+      min: [1, 'Offer period must be at least 1 hour'],
+      max: [336, 'Offer period cannot exceed 336 hours']
+    }
+  },
+  // Course codes of the courses students must have completed before enrolling
   prerequisites: [{
     type: String,
+    uppercase: true,
     trim: true
   }],
+  // Students the professor lets enroll without the prerequisites
+  prerequisiteOverrides: [{
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Student is required']
+    },
+    grantedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Override granter is required']
+    },
+    grantedAt: {
+      type: Date,
+      default: Date.now
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Override reason cannot exceed 500 characters']
+    }
+  }],
   syllabus: {
     type: String,
     trim: true,
@@ -141,8 +416,14 @@ const courseSchema = new mongoose.Schema({
 // Create indexes after schema definition to avoid duplicates
 courseSchema.index({ courseCode: 1 }, { unique: true, background: true });
 courseSchema.index({ professor: 1 }, { background: true });
+courseSchema.index({ 'staff.user': 1 }, { background: true });
 courseSchema.index({ department: 1 }, { background: true });
 courseSchema.index({ semester: 1, year: 1 }, { background: true });
+courseSchema.index({ term: 1 }, { background: true });
+courseSchema.index({ 'schedule.roomId': 1 }, { background: true });
+courseSchema.index({ 'sections.schedule.roomId': 1 }, { background: true });
+courseSchema.index({ 'waitlist.student': 1 }, { background: true });
+courseSchema.index({ 'waitlist.offerExpiresAt': 1 }, { background: true });
 courseSchema.index({ tags: 1 }, { background: true });
 courseSchema.index({ isActive: 1, isPublished: 1 }, { background: true });
 
@@ -151,9 +432,39 @@ courseSchema.virtual('enrolledCount').get(function() {
   return this.enrolledStudents.filter(enrollment => enrollment.status === 'enrolled').length;
 });
 
+// Virtual for seats held for waitlisted students with an open offer
+courseSchema.virtual('heldSpots').get(function() {
+  const now = new Date();
+  return (this.waitlist || []).filter(entry => entry.offerExpiresAt && entry.offerExpiresAt > now).length;
+});
+
 // Virtual for available spots
 courseSchema.virtual('availableSpots').get(function() {
-  return this.capacity - this.enrolledCount;
+  return this.capacity - this.enrolledCount - this.heldSpots;
+});
+
+// Virtual for the number of students on the waitlist
+courseSchema.virtual('waitlistCount').get(function() {
+  return (this.waitlist || []).length;
+});
+
+// Virtual for whether students choose a section when they enroll
+courseSchema.virtual('hasSections').get(function() {
+  return (this.sections || []).some(section => section.isActive);
+});
+
+// Virtual for the room geofence used to check attendance locations
+courseSchema.virtual('geofence').get(function() {
+  return toGeofence(this.schedule && this.schedule.location);
+});
+
+// Virtual for whether the course sets any attendance requirement
+courseSchema.virtual('hasAttendancePolicy').get(function() {
+  const policy = this.attendancePolicy;
+  return Boolean(policy && (
+    (policy.maxAbsences !== null && policy.maxAbsences !== undefined) ||
+    (policy.minimumRate !== null && policy.minimumRate !== undefined)
+  ));
 });
 
 // Virtual for professor name (populated)
@@ -161,6 +472,33 @@ courseSchema.virtual('professorName').get(function() {
   return this.professor && this.professor.name ? this.professor.name : 'Unknown Professor';
 });
 
+// Pre-validate middleware to keep the teaching dates in order
+courseSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must be after the start date');
+  }
+  if (this.courseCode && (this.prerequisites || []).includes(this.courseCode.toUpperCase())) {
+    this.invalidate('prerequisites', 'A course cannot be its own prerequisite');
+  }
+  // Only checked when they change, so courses with free-text prerequisites
+  // from before codes were required can still be saved
+  if ((this.isNew || this.isModified('prerequisites')) &&
+      (this.prerequisites || []).some(code => !PREREQUISITE_CODE.test(code))) {
+    this.invalidate('prerequisites', 'Prerequisites must be course codes like CS101 or MATH1001');
+  }
+
+  const sections = this.sections || [];
+  const codes = sections.map(section => section.code);
+  if (new Set(codes).size !== codes.length) {
+    this.invalidate('sections', 'Section codes must be unique within the course');
+  }
+  const teachesSection = (userId) => this.getStaffRole(userId._id || userId) !== null;
+  if (this.professor && sections.some(section => !section.staff.every(teachesSection))) {
+    this.invalidate('sections', 'Section staff must be on the course staff');
+  }
+  next();
+});
+
 // Pre-save middleware to generate QR code data
 courseSchema.pre('save', function(next) {
   if (this.isNew || this.isModified('courseCode')) {
@@ -176,33 +514,56 @@ courseSchema.pre('save', function(next) {
   next();
 });
 
-// Instance method to enroll student
-courseSchema.methods.enrollStudent = function(studentId) {
+// Instance method to enroll student, in the given section when the course has sections
+courseSchema.methods.enrollStudent = async function(studentId, sectionId = null) {
+  if (this.getStaffRole(studentId)) {
+    throw new Error('Course staff cannot enroll in the course');
+  }
+
   // Check if student is already enrolled
   const existingEnrollment = this.enrolledStudents.find(
     enrollment => enrollment.student.toString() === studentId.toString()
   );
   
+  if (existingEnrollment && existingEnrollment.status === 'enrolled') {
+    throw new Error('Student is already enrolled in this course');
+  }
+
+  // Re-enrolling would take away the credit the completion gives as a prerequisite
+  if (existingEnrollment && existingEnrollment.status === 'completed') {
+    throw new Error('Student has already completed this course');
+  }
+
+  const section = this.resolveSection(sectionId);
+  const sectionRef = section ? section._id : null;
+
+  await this.checkPrerequisites(studentId);
+  await this.checkTimetableClashes(studentId, sectionRef);
+
+  // Check capacity
+  if (!this.hasSeatFor(studentId, sectionRef)) {
+    throw new Error(section ? `Section ${section.code} is at full capacity` : 'Course is at full capacity');
+  }
+
   if (existingEnrollment) {
-    if (existingEnrollment.status === 'enrolled') {
-      throw new Error('Student is already enrolled in this course');
-    } else {
-      // Re-enroll previously dropped student
-      existingEnrollment.status = 'enrolled';
-      existingEnrollment.enrolledAt = new Date();
-    }
+    // Re-enroll previously dropped student
+    existingEnrollment.status = 'enrolled';
+    existingEnrollment.enrolledAt = new Date();
+    existingEnrollment.section = sectionRef;
   } else {
-    // Check capacity
-    if (this.enrolledCount >= this.capacity) {
-      throw new Error('Course is at full capacity');
-    }
-    
     // Add new enrollment
     this.enrolledStudents.push({
       student: studentId,
-      status: 'enrolled'
+      status: 'enrolled',
+      section: sectionRef
     });
   }
+
+  // Enrolling takes the student off the waitlist, accepting any offer
+  const waitlistEntry = this.getWaitlistEntry(studentId);
+  if (waitlistEntry) {
+    this.waitlist.pull(waitlistEntry._id);
+  }
   
   return this.save();
 };
@@ -216,16 +577,535 @@ courseSchema.methods.dropStudent = function(studentId) {
   if (!enrollment) {
     throw new Error('Student is not enrolled in this course');
   }
+
+  if (enrollment.status === 'completed') {
+    throw new Error('A completed course cannot be dropped');
+  }
   
   enrollment.status = 'dropped';
   return this.save();
 };
 
+// Instance method to mark students as having completed the course, which
+// satisfies it as a prerequisite. Every enrolled student when none are given
+courseSchema.methods.completeEnrollments = function(studentIds = null) {
+  const enrolled = this.enrolledStudents.filter(enrollment => enrollment.status === 'enrolled');
+
+  if (studentIds) {
+    const enrolledIds = new Set(enrolled.map(enrollment => enrollment.student.toString()));
+    if (studentIds.some(studentId => !enrolledIds.has(studentId.toString()))) {
+      throw new Error('Only enrolled students can complete the course');
+    }
+  }
+
+  const completing = studentIds ? new Set(studentIds.map(studentId => studentId.toString())) : null;
+  enrolled
+    .filter(enrollment => !completing || completing.has(enrollment.student.toString()))
+    .forEach(enrollment => {
+      enrollment.status = 'completed';
+    });
+
+  return this.save();
+};
+
+// Instance method to find a section by ID or code, or null
+courseSchema.methods.getSection = function(idOrCode) {
+  if (!idOrCode) {
+    return null;
+  }
+  const value = idOrCode.toString();
+  return (this.sections || []).find(
+    section => section._id.toString() === value || section.code === value.toUpperCase()
+  ) || null;
+};
+
+// Instance method to check the section a student asked to join: courses taught
+// in sections need an active one, other courses take none. Returns the section or null
+courseSchema.methods.resolveSection = function(idOrCode) {
+  if (!this.hasSections) {
+    if (idOrCode) {
+      throw new Error('Course is not taught in sections');
+    }
+    return null;
+  }
+
+  if (!idOrCode) {
+    const codes = this.sections.filter(section => section.isActive).map(section => section.code);
+    throw new Error(`Please choose a section: ${codes.join(', ')}`);
+  }
+
+  const section = this.getSection(idOrCode);
+  if (!section || !section.isActive) {
+    throw new Error('Section not found');
+  }
+  return section;
+};
+
+// Instance method to get the ID of the section a student is enrolled in, or null
+courseSchema.methods.getStudentSectionId = function(studentId) {
+  const enrollment = this.enrolledStudents.find(
+    entry => (entry.student._id || entry.student).toString() === studentId.toString() && entry.status === 'enrolled'
+  );
+  return enrollment && enrollment.section ? enrollment.section : null;
+};
+
+// Instance method to count the students enrolled in a section
+courseSchema.methods.getSectionEnrolledCount = function(sectionId) {
+  return this.enrolledStudents.filter(enrollment =>
+    enrollment.status === 'enrolled' && enrollment.section && enrollment.section.toString() === sectionId.toString()
+  ).length;
+};
+
+// Instance method to get the free seats in the course, or in one of its sections
+// (never more than the course has left), less those held for waitlist offers
+courseSchema.methods.getAvailableSpots = function(sectionId = null, now = new Date()) {
+  if (!sectionId) {
+    return this.availableSpots;
+  }
+
+  const section = this.getSection(sectionId);
+  if (!section) {
+    return 0;
+  }
+  const heldSpots = this.waitlist.filter(entry =>
+    entry.section && entry.section.toString() === section._id.toString() &&
+    entry.offerExpiresAt && entry.offerExpiresAt > now
+  ).length;
+  return Math.min(this.availableSpots, section.capacity - this.getSectionEnrolledCount(section._id) - heldSpots);
+};
+
+// Instance method to list the course's weekly meetings as { section, schedule }:
+// those every student attends (section null), then those of the active sections,
+// or only of the given one (none when it is null)
+courseSchema.methods.getMeetings = function(sectionId) {
+  const hasDays = (schedule) => Boolean(schedule && schedule.days && schedule.days.length > 0);
+
+  const meetings = hasDays(this.schedule) ? [{ section: null, schedule: this.schedule }] : [];
+  (this.sections || [])
+    .filter(section => section.isActive && hasDays(section.schedule))
+    .filter(section => sectionId === undefined ||
+      (sectionId !== null && section._id.toString() === sectionId.toString()))
+    .forEach(section => meetings.push({ section, schedule: section.schedule }));
+  return meetings;
+};
+
+// Instance method to get the geofence of a section's room, falling back to the course's
+courseSchema.methods.getGeofence = function(sectionId = null) {
+  const section = this.getSection(sectionId);
+  return (section && toGeofence(section.schedule && section.schedule.location)) || this.geofence;
+};
+
+// Instance method to check if a student may enroll without the prerequisites
+courseSchema.methods.hasPrerequisiteOverride = function(studentId) {
+  return (this.prerequisiteOverrides || []).some(
+    override => (override.student._id || override.student).toString() === studentId.toString()
+  );
+};
+
+// Instance method to list the prerequisites a student has not completed,
+// as { courseCode, title } (title is null for codes no course uses any more)
+courseSchema.methods.getMissingPrerequisites = async function(studentId) {
+  if (!this.prerequisites || this.prerequisites.length === 0 || this.hasPrerequisiteOverride(studentId)) {
+    return [];
+  }
+
+  // Only the student's own completed enrollment is loaded for each course
+  const courses = await mongoose.model('Course').find({ courseCode: { $in: this.prerequisites } })
+    .select({
+      courseCode: 1,
+      title: 1,
+      enrolledStudents: { $elemMatch: { student: studentId, status: 'completed' } }
+    });
+  const byCode = new Map(courses.map(course => [course.courseCode, course]));
+
+  return this.prerequisites
+    .filter(code => {
+      const course = byCode.get(code);
+      return !course || !course.enrolledStudents || course.enrolledStudents.length === 0;
+    })
+    .map(code => ({
+      courseCode: code,
+      title: byCode.has(code) ? byCode.get(code).title : null
+    }));
+};
+
+// Instance method to make sure a student has completed the prerequisites.
+// The error lists the missing courses in missingPrerequisites
+courseSchema.methods.checkPrerequisites = async function(studentId) {
+  const missing = await this.getMissingPrerequisites(studentId);
+  if (missing.length > 0) {
+    const error = new Error(`Missing prerequisites: ${missing.map(course => course.courseCode).join(', ')}`);
+    error.missingPrerequisites = missing;
+    throw error;
+  }
+};
+
+// Instance method to let a student enroll without the prerequisites
+courseSchema.methods.grantPrerequisiteOverride = function(studentId, grantedBy, reason) {
+  if (this.getStaffRole(studentId)) {
+    throw new Error('Course staff cannot enroll in the course');
+  }
+
+  const existing = this.prerequisiteOverrides.find(
+    override => override.student.toString() === studentId.toString()
+  );
+  if (existing) {
+    Object.assign(existing, { grantedBy, grantedAt: new Date(), reason });
+  } else {
+    this.prerequisiteOverrides.push({ student: studentId, grantedBy, reason });
+  }
+  return this.save();
+};
+
+// Instance method to withdraw a prerequisite override. Students already
+// enrolled stay enrolled
+courseSchema.methods.revokePrerequisiteOverride = function(studentId) {
+  const override = this.prerequisiteOverrides.find(
+    entry => entry.student.toString() === studentId.toString()
+  );
+  if (!override) {
+    throw new Error('Student has no prerequisite override for this course');
+  }
+
+  this.prerequisiteOverrides.pull(override._id);
+  return this.save();
+};
+
+// Instance method to pair up the meetings of this course and another held at the
+// same time, as { meeting, otherMeeting, days }. section and otherSection pick
+// the meetings compared, as in getMeetings
+courseSchema.methods.getClashingMeetings = function(other, { section, otherSection } = {}) {
+  // Courses taught in separate parts of the semester never meet together
+  if (this.startDate && this.endDate && other.startDate && other.endDate &&
+      (this.endDate < other.startDate || other.endDate < this.startDate)) {
+    return [];
+  }
+
+  const otherMeetings = other.getMeetings(otherSection);
+  return this.getMeetings(section)
+    .flatMap(meeting => otherMeetings.map(otherMeeting => ({
+      meeting,
+      otherMeeting,
+      days: findOverlappingDays(meeting.schedule, otherMeeting.schedule)
+    })))
+    .filter(pair => pair.days.length > 0);
+};
+
+// Instance method to find the meetings of other active courses of the same
+// semester held at the same time as this course's (only those of section, if
+// given). With studentId only the student's courses, and their own section of
+// them, are compared; with sameRoom only meetings in the same room count.
+// Resolves to { course, days } entries, one per clashing meeting
+courseSchema.methods.findTimetableClashes = async function({ section, studentId, sameRoom = false } = {}) {
+  const days = [...new Set(this.getMeetings(section).flatMap(meeting => meeting.schedule.days))];
+  if (days.length === 0) {
+    return [];
+  }
+
+  const query = {
+    _id: { $ne: this._id },
+    semester: this.semester,
+    year: this.year,
+    isActive: true,
+    $or: [
+      { 'schedule.days': { $in: days } },
+      { 'sections.schedule.days': { $in: days } }
+    ]
+  };
+  const projection = { title: 1, courseCode: 1, schedule: 1, sections: 1, startDate: 1, endDate: 1 };
+  if (studentId) {
+    query.enrolledStudents = { $elemMatch: { student: studentId, status: 'enrolled' } };
+    // Only the student's own enrollment is loaded, for their section
+    projection.enrolledStudents = query.enrolledStudents;
+  }
+
+  const candidates = await mongoose.model('Course').find(query).select(projection);
+
+  const clashes = new Map();
+  for (const course of candidates) {
+    const otherSection = studentId ? course.enrolledStudents[0].section || null : undefined;
+    const pairs = this.getClashingMeetings(course, { section, otherSection })
+      .filter(pair => !sameRoom || isSameRoom(pair.meeting.schedule, pair.otherMeeting.schedule));
+
+    for (const pair of pairs) {
+      const key = `${course._id}:${pair.otherMeeting.section ? pair.otherMeeting.section._id : ''}`;
+      const clash = clashes.get(key) || { course: describeMeeting(course, pair.otherMeeting), days: [] };
+      clash.days = [...new Set([...clash.days, ...pair.days])];
+      clashes.set(key, clash);
+    }
+  }
+  return [...clashes.values()];
+};
+
+// Instance method to find meetings booked into the same room at the same time,
+// including those of the course's other sections
+courseSchema.methods.findRoomClashes = async function() {
+  const meetings = this.getMeetings();
+  if (!this.isActive || !meetings.some(meeting => meeting.schedule.room)) {
+    return [];
+  }
+
+  const ownClashes = meetings
+    .flatMap((meeting, index) => meetings.slice(index + 1)
+      .filter(other => isSameRoom(meeting.schedule, other.schedule))
+      .map(other => ({
+        course: describeMeeting(this, other),
+        days: findOverlappingDays(meeting.schedule, other.schedule)
+      })))
+    .filter(clash => clash.days.length > 0);
+
+  return [...ownClashes, ...await this.findTimetableClashes({ sameRoom: true })];
+};
+
+// Instance method to find a student's courses that meet at the same time as this
+// one, or as the given section of it
+courseSchema.methods.findStudentClashes = function(studentId, sectionId = null) {
+  return this.findTimetableClashes({ section: sectionId, studentId });
+};
+
+// Instance method to refuse a student whose timetable clashes with the course,
+// when clashes are blocked. The error lists them in clashes
+courseSchema.methods.checkTimetableClashes = async function(studentId, sectionId = null) {
+  if (getEnrollmentClashPolicy() !== 'block') {
+    return;
+  }
+
+  const clashes = await this.findStudentClashes(studentId, sectionId);
+  if (clashes.length > 0) {
+    const codes = [...new Set(clashes.map(clash => clash.course.courseCode))];
+    const error = new Error(`Timetable clash with ${codes.join(', ')}`);
+    error.clashes = clashes;
+    throw error;
+  }
+};
+
+// Instance method to find a student's entry on the waitlist
+courseSchema.methods.getWaitlistEntry = function(studentId) {
+  return (this.waitlist || []).find(
+    entry => (entry.student._id || entry.student).toString() === studentId.toString()
+  );
+};
+
+// Instance method to get a student's place on the waitlist (1 is next in line), or null
+courseSchema.methods.getWaitlistPosition = function(studentId) {
+  const entry = this.getWaitlistEntry(studentId);
+  return entry ? this.waitlist.indexOf(entry) + 1 : null;
+};
+
+// Instance method to check if a student can take a seat now, in the given
+// section if any: either one is held for them, or one is free and nobody is
+// waiting for it
+courseSchema.methods.hasSeatFor = function(studentId, sectionId = null, now = new Date()) {
+  const sameSection = (entry) => String(entry.section || '') === String(sectionId || '');
+
+  const entry = this.getWaitlistEntry(studentId);
+  if (entry && sameSection(entry) && entry.offerExpiresAt && entry.offerExpiresAt > now) {
+    return true;
+  }
+
+  const othersWaiting = this.waitlist.some(waiting => waiting !== entry && !waiting.offeredAt && sameSection(waiting));
+  return this.getAvailableSpots(sectionId, now) > 0 && !othersWaiting;
+};
+
+// Instance method to put a student at the end of the waitlist, for a seat in
+// the given section when the course has sections
+courseSchema.methods.joinWaitlist = async function(studentId, sectionId = null) {
+  if (this.getStaffRole(studentId)) {
+    throw new Error('Course staff cannot enroll in the course');
+  }
+
+  const enrollment = this.enrolledStudents.find(
+    enrollment => enrollment.student.toString() === studentId.toString()
+  );
+  if (enrollment && enrollment.status === 'enrolled') {
+    throw new Error('Student is already enrolled in this course');
+  }
+  if (enrollment && enrollment.status === 'completed') {
+    throw new Error('Student has already completed this course');
+  }
+
+  if (this.getWaitlistEntry(studentId)) {
+    throw new Error(`Student is already on the waitlist (position ${this.getWaitlistPosition(studentId)})`);
+  }
+
+  if (!this.waitlistSettings.enabled) {
+    throw new Error('Course is at full capacity');
+  }
+
+  const section = this.resolveSection(sectionId);
+  const sectionRef = section ? section._id : null;
+
+  await this.checkPrerequisites(studentId);
+  await this.checkTimetableClashes(studentId, sectionRef);
+
+  this.waitlist.push({ student: studentId, section: sectionRef });
+  return this.save();
+};
+
+// Instance method to take a student off the waitlist, declining any offer
+courseSchema.methods.leaveWaitlist = function(studentId) {
+  const entry = this.getWaitlistEntry(studentId);
+  if (!entry) {
+    throw new Error('Student is not on the waitlist');
+  }
+
+  this.waitlist.pull(entry._id);
+  return this.save();
+};
+
+// Instance method to withdraw expired offers and offer free seats to the next
+// students in line. Does not save; returns the { offered, expired } entries
+courseSchema.methods.promoteFromWaitlist = function(now = new Date()) {
+  // Students who let their offer expire lose their place
+  const expired = this.waitlist.filter(entry => entry.offerExpiresAt && entry.offerExpiresAt <= now);
+  expired.forEach(entry => this.waitlist.pull(entry._id));
+
+  const offered = [];
+  if (!this.isActive) {
+    return { offered, expired };
+  }
+
+  // Each offer holds a seat, so the free seats are counted again for every
+  // entry; students waiting for a full section let others pass
+  for (const entry of this.waitlist) {
+    if (entry.offeredAt || this.getAvailableSpots(entry.section, now) <= 0) continue;
+
+    entry.offeredAt = now;
+    entry.offerExpiresAt = new Date(now.getTime() + this.waitlistSettings.offerHours * 60 * 60 * 1000);
+    offered.push(entry);
+  }
+
+  return { offered, expired };
+};
+
+// Instance method to get a user's role on the course's teaching staff
+// ('professor', 'co_instructor' or 'ta'), or null if they do not teach it
+courseSchema.methods.getStaffRole = function(userId) {
+  const id = userId.toString();
+  const professorId = (this.professor._id || this.professor).toString();
+  if (professorId === id) {
+    return 'professor';
+  }
+
+  const member = (this.staff || []).find(entry => (entry.user._id || entry.user).toString() === id);
+  return member ? member.role : null;
+};
+
+// Instance method to check if a user teaches the course, optionally in one of the given staff roles
+courseSchema.methods.isStaff = function(userId, roles = []) {
+  const role = this.getStaffRole(userId);
+  return role === 'professor' || (role !== null && (roles.length === 0 || roles.includes(role)));
+};
+
+// Instance method to add a teaching assistant or co-instructor
+courseSchema.methods.addStaff = function(userId, role = 'ta') {
+  if (this.getStaffRole(userId) === 'professor') {
+    throw new Error('The professor is already teaching this course');
+  }
+
+  const isEnrolled = this.enrolledStudents.some(
+    enrollment => enrollment.student.toString() === userId.toString() && enrollment.status === 'enrolled'
+  );
+  if (isEnrolled) {
+    throw new Error('Students enrolled in the course cannot be on its staff');
+  }
+
+  // Adding someone who is already on the staff changes their role
+  const member = this.staff.find(entry => entry.user.toString() === userId.toString());
+  if (member) {
+    member.role = role;
+  } else {
+    this.staff.push({ user: userId, role });
+  }
+
+  return this.save();
+};
+
+// Instance method to remove a staff member
+courseSchema.methods.removeStaff = function(userId) {
+  const member = this.staff.find(entry => entry.user.toString() === userId.toString());
+  if (!member) {
+    throw new Error('User is not on the staff of this course');
+  }
+
+  member.deleteOne();
+  // They stop teaching its sections too
+  (this.sections || []).forEach(section => section.staff.pull(userId));
+  return this.save();
+};
+
+// Instance method to remove a section nobody is enrolled in or waiting for
+courseSchema.methods.removeSection = function(sectionId) {
+  const section = this.getSection(sectionId);
+  if (!section) {
+    throw new Error('Section not found');
+  }
+
+  const waiting = this.waitlist.some(entry => entry.section && entry.section.toString() === section._id.toString());
+  if (this.getSectionEnrolledCount(section._id) > 0 || waiting) {
+    throw new Error('Section has students; deactivate it instead');
+  }
+
+  section.deleteOne();
+  return this.save();
+};
+
+// Instance method to work out a student's standing under the attendance policy
+courseSchema.methods.getAttendanceStanding = function(counts) {
+  const policy = this.attendancePolicy || {};
+  const isSet = (value) => value !== null && value !== undefined;
+
+  const absences = (counts.absent || 0) + (policy.countExcusedAbsences ? counts.excused || 0 : 0);
+  const attended = (counts.present || 0) + (counts.late || 0);
+  const attendanceRate = calculateAttendanceRate({ present: attended, absent: absences });
+  const held = attended + absences;
+
+  // Unless set, warn when the last allowed absence is used or the rate is within 10 points of the minimum
+  const warningAbsences = isSet(policy.warningAbsences) ? policy.warningAbsences : policy.maxAbsences;
+  const warningRate = isSet(policy.warningRate)
+    ? policy.warningRate
+    : Math.min(100, (policy.minimumRate || 0) + 10);
+
+  const reasons = [];
+  let standing = 'good';
+  if (isSet(policy.maxAbsences) && absences > policy.maxAbsences) {
+    standing = 'barred';
+    reasons.push(`More than ${policy.maxAbsences} absences`);
+  }
+  if (isSet(policy.minimumRate) && held > 0 && attendanceRate < policy.minimumRate) {
+    standing = 'barred';
+    reasons.push(`Attendance rate below ${policy.minimumRate}%`);
+  }
+  if (standing === 'good') {
+    if (isSet(policy.maxAbsences) && absences > 0 && absences >= warningAbsences) {
+      standing = 'warning';
+      reasons.push(`${absences} of ${policy.maxAbsences} allowed absences used`);
+    }
+    if (isSet(policy.minimumRate) && held > 0 && attendanceRate < warningRate) {
+      standing = 'warning';
+      reasons.push(`Attendance rate close to the ${policy.minimumRate}% minimum`);
+    }
+  }
+
+  return {
+    standing,
+    reasons,
+    absences,
+    attendanceRate: held > 0 ? attendanceRate : null,
+    absencesRemaining: isSet(policy.maxAbsences) ? Math.max(0, policy.maxAbsences - absences) : null
+  };
+};
+
 // Static method to find by professor
 courseSchema.statics.findByProfessor = function(professorId) {
   return this.find({ professor: professorId, isActive: true });
 };
 
+// Static method to find the courses a user teaches, as professor or staff
+courseSchema.statics.findByStaff = function(userId) {
+  return this.find({ $or: [{ professor: userId }, { 'staff.user': userId }] });
+};
+
 // Static method to find published courses
 courseSchema.statics.findPublished = function() {
   return this.find({ isActive: true, isPublished: true });
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+const excuseRequestSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student is required']
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AttendanceSession',
+    required: [true, 'Attendance session is required']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: [1000, 'Reason cannot exceed 1000 characters']
+  },
+  document: {
+    filename: {
+      type: String,
+      trim: true
+    },
+    originalName: {
+      type: String,
+      trim: true
+    },
+    mimetype: {
+      type: String
+    },
+    size: {
+      type: Number
+    }
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Review note cannot exceed 500 characters'],
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Create indexes after schema definition to avoid duplicates
+excuseRequestSchema.index({ course: 1, status: 1, createdAt: -1 }, { background: true });
+excuseRequestSchema.index({ student: 1, createdAt: -1 }, { background: true });
+excuseRequestSchema.index({ session: 1, student: 1 }, { background: true });
+
+// Virtual for whether a supporting document was uploaded
+excuseRequestSchema.virtual('hasDocument').get(function() {
+  return Boolean(this.document && this.document.filename);
+});
+
+// Instance method to record the professor's decision
+excuseRequestSchema.methods.review = function(decision, reviewerId, note) {
+  if (this.status !== 'pending') {
+    throw new Error(`Excuse request has already been ${this.status}`);
+  }
+
+  this.status = decision;
+  this.reviewedBy = reviewerId;
+  this.reviewedAt = new Date();
+  this.reviewNote = note || null;
+  return this.save();
+};
+
+// Static method to find a request that still blocks a new one for the same session
+excuseRequestSchema.statics.findActive = function(sessionId, studentId) {
+  return this.findOne({
+    session: sessionId,
+    student: studentId,
+    status: { $in: ['pending', 'approved'] }
+  });
+};
+
+module.exports = mongoose.model('ExcuseRequest', excuseRequestSchema);
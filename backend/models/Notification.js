@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Recipient is required']
+  },
+  type: {
+    type: String,
+    enum: ['attendance_warning', 'attendance_barred', 'waitlist_offer', 'waitlist_expired'],
+    required: [true, 'Notification type is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  message: {
+    type: String,
+    required: [true, 'Message is required'],
+    trim: true,
+    maxlength: [1000, 'Message cannot exceed 1000 characters']
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    default: null
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Create indexes after schema definition to avoid duplicates
+notificationSchema.index({ recipient: 1, createdAt: -1 }, { background: true });
+notificationSchema.index({ recipient: 1, readAt: 1 }, { background: true });
+
+// Virtual for whether the notification has been read
+notificationSchema.virtual('isRead').get(function() {
+  return this.readAt !== null;
+});
+
+// Instance method to mark the notification as read
+notificationSchema.methods.markRead = function() {
+  if (!this.readAt) {
+    this.readAt = new Date();
+  }
+  return this.save();
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const roomSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Room name is required'],
+    trim: true,
+    maxlength: [50, 'Room name cannot exceed 50 characters']
+  },
+  building: {
+    type: String,
+    required: [true, 'Building is required'],
+    trim: true,
+    maxlength: [100, 'Building cannot exceed 100 characters']
+  },
+  capacity: {
+    type: Number,
+    required: [true, 'Room capacity is required'],
+    min: [1, 'Capacity must be at least 1'],
+    max: [1000, 'Capacity cannot exceed 1000']
+  },
+  // Fixed equipment such as "projector" or "lab computers"
+  equipment: [{
+    type: String,
+    lowercase: true,
+    trim: true,
+    maxlength: [50, 'Equipment names cannot exceed 50 characters']
+  }],
+  // Used as the attendance geofence of courses taught in the room
+  location: {
+    latitude: {
+      type: Number,
+      min: [-90, 'Latitude must be between -90 and 90'],
+      max: [90, 'Latitude must be between -90 and 90']
+    },
+    longitude: {
+      type: Number,
+      min: [-180, 'Longitude must be between -180 and 180'],
+      max: [180, 'Longitude must be between -180 and 180']
+    },
+    radiusMeters: {
+      type: Number,
+      default: 100,
+      min: [10, 'Geofence radius must be at least 10 meters'],
+      max: [5000, 'Geofence radius cannot exceed 5000 meters']
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Create indexes after schema definition to avoid duplicates
+roomSchema.index({ building: 1, name: 1 }, { unique: true, background: true });
+roomSchema.index({ isActive: 1, capacity: 1 }, { background: true });
+
+// Virtual for the name shown in timetables, e.g. "Science Hall 204"
+roomSchema.virtual('displayName').get(function() {
+  return `${this.building} ${this.name}`;
+});
+
+// Virtual for whether the room has coordinates to use as a geofence
+roomSchema.virtual('hasLocation').get(function() {
+  return Boolean(this.location) &&
+    this.location.latitude !== undefined && this.location.latitude !== null &&
+    this.location.longitude !== undefined && this.location.longitude !== null;
+});
+
+// Instance method to check if the room has every piece of equipment listed
+roomSchema.methods.hasEquipment = function(items = []) {
+  return items.every(item => this.equipment.includes(item.trim().toLowerCase()));
+};
+
+// Static method to find active rooms by building
+roomSchema.statics.findByBuilding = function(building) {
+  return this.find({ building, isActive: true }).sort({ name: 1 });
+};
+
+module.exports = mongoose.model('Room', roomSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { generateRandomString } = require('../utils/helpers');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -74,6 +75,12 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Secret in the personal calendar feed URL; resetting it revokes the old URL
+  calendarToken: {
+    type: String,
+    default: null,
+    select: false
+  },
   enrolledCourses: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Course'
@@ -92,6 +99,7 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 }, { unique: true, background: true });
 userSchema.index({ role: 1 }, { background: true });
 userSchema.index({ studentId: 1 }, { sparse: true, unique: true, background: true, partialFilterExpression: { studentId: { $ne: null } } });
+userSchema.index({ calendarToken: 1 }, { unique: true, background: true, partialFilterExpression: { calendarToken: { $type: 'string' } } });
 
 // Virtual for full profile completion
 userSchema.virtual('profileCompletion').get(function() {
@@ -136,11 +144,23 @@ userSchema.methods.updateLastLogin = function() {
   return this.save({ validateBeforeSave: false });
 };
 
+// Instance method to issue a new calendar feed token
+userSchema.methods.resetCalendarToken = async function() {
+  this.calendarToken = generateRandomString(24);
+  await this.save({ validateBeforeSave: false });
+  return this.calendarToken;
+};
+
 // Static method to find by email
 userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase() });
 };
 
+// Static method to find the owner of a calendar feed token
+userSchema.statics.findByCalendarToken = function(token) {
+  return this.findOne({ calendarToken: token, isActive: true });
+};
+
 // Static method to get professors
 userSchema.statics.getProfessors = function() {
   return this.find({ role: 'professor', isActive: true });
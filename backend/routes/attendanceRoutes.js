@@ -1,47 +1,505 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const router = express.Router();
 
 // Import controllers
 const {
   recordAttendance,
+  recordAttendanceBatch,
+  recordAttendanceCode,
   generateAttendanceQR,
   getCourseAttendance,
   getStudentAttendance,
-  getAttendanceStats
+  getAttendanceStats,
+  exportCourseAttendance,
+  getAttendanceAnomalies,
+  createAttendanceRecords,
+  updateAttendanceRecords,
+  approveOfflineScans,
+  rejectOfflineScans,
+  deleteAttendanceRecords
 } = require('../controllers/attendanceController');
+const {
+  openSession,
+  getSessions,
+  extendSession,
+  closeSession,
+  cancelSession,
+  createStreamToken,
+  streamSession
+} = require('../controllers/attendanceSessionController');
+const {
+  submitExcuse,
+  getMyExcuses,
+  getCourseExcuses,
+  approveExcuse,
+  rejectExcuse,
+  getExcuseDocument
+} = require('../controllers/attendanceExcuseController');
+const {
+  getAtRiskStudents,
+  getMyStanding
+} = require('../controllers/attendancePolicyController');
+const {
+  getAttendanceAnalytics,
+  getAttendanceTrends
+} = require('../controllers/attendanceAnalyticsController');
+const { getStudentReport } = require('../controllers/attendanceReportController');
 
 // Import middleware
 const { 
   authenticate, 
-  requireProfessor, 
+  authenticateStream,
+  authorize,
   requireStudent, 
-  requireUser 
+  requireUser,
+  requireAdmin,
+  requireCourseStaff
 } = require('../middleware/auth');
 const {
   validateMongoId,
   validatePagination
 } = require('../middleware/validation');
-const { body } = require('express-validator');
+const { uploadExcuseDocument } = require('../middleware/upload');
+const { body, query } = require('express-validator');
+
+// Validation for the device sent with every check-in
+const validateDeviceId = body('deviceId')
+  .trim()
+  .isLength({ min: 8, max: 200 })
+  .withMessage('Device identifier must be between 8 and 200 characters');
+
+// Validation for a reported device location
+const validateLocation = (field) => [
+  body(`${field}.latitude`)
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  body(`${field}.longitude`)
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  body(`${field}.accuracy`)
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Location accuracy must be a positive number')
+];
+
+// Validation for the device and location sent with every check-in
+const validateCheckInContext = [
+  validateDeviceId,
+  ...validateLocation('location')
+];
 
 // Validation for attendance recording
 const validateAttendanceRecord = [
   body('qrCodeData')
     .notEmpty()
     .withMessage('QR code data is required')
-    .isJSON()
-    .withMessage('QR code data must be valid JSON')
+    .isJWT()
+    .withMessage('QR code data must be a signed attendance token'),
+  ...validateCheckInContext
+];
+
+// Validation for syncing offline scans
+const validateAttendanceBatch = [
+  body('scans')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Scans must be an array of 1 to 50 items'),
+  body('scans.*.qrCodeData')
+    .isJWT()
+    .withMessage('QR code data must be a signed attendance token'),
+  validateDeviceId,
+  ...validateLocation('scans.*.location')
+];
+
+// Validation for check-in code entry
+const validateAttendanceCode = [
+  body('courseId')
+    .isMongoId()
+    .withMessage('Course ID must be a valid MongoDB ObjectId'),
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Check-in code must be 6 digits'),
+  ...validateCheckInContext
+];
+
+// Limit wrong check-in codes per student, so codes cannot be guessed
+const checkInCodeLimiter = rateLimit({
+  windowMs: (parseInt(process.env.ATTENDANCE_CODE_ATTEMPT_WINDOW_MINUTES) || 10) * 60 * 1000,
+  max: parseInt(process.env.ATTENDANCE_CODE_MAX_ATTEMPTS) || 5,
+  keyGenerator: (req) => req.user._id.toString(),
+  skipSuccessfulRequests: true,
+  message: {
+    success: false,
+    message: 'Too many check-in code attempts, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Validation for narrowing results to a course section, by ID or code
+const validateSectionQuery = query('section')
+  .optional()
+  .matches(/^([0-9a-fA-F]{24}|[A-Za-z0-9-]{1,10})$/)
+  .withMessage('Section must be a section ID or code');
+
+// Validation for attendance queries
+const validateAttendanceQuery = [
+  query('courseId')
+    .optional()
+    .isMongoId()
+    .withMessage('courseId must be a valid MongoDB ObjectId'),
+  query('studentId')
+    .optional()
+    .isMongoId()
+    .withMessage('studentId must be a valid MongoDB ObjectId'),
+  query('sessionId')
+    .optional()
+    .isMongoId()
+    .withMessage('sessionId must be a valid MongoDB ObjectId'),
+  query('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be a valid ISO date'),
+  query('includeDeleted')
+    .optional()
+    .isBoolean()
+    .withMessage('includeDeleted must be a boolean'),
+  query('syncReview')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected'])
+    .withMessage('syncReview must be pending, approved, or rejected'),
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid ISO date'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid ISO date'),
+  validateSectionQuery
+];
+
+const validateExportFormat = [
+  query('format')
+    .optional()
+    .isIn(['csv', 'xlsx'])
+    .withMessage('Format must be csv or xlsx')
+];
+
+const validateAnomalyQuery = [
+  query('burstSize')
+    .optional()
+    .isInt({ min: 2, max: 100 })
+    .withMessage('Burst size must be between 2 and 100 scans'),
+  query('burstWindowSeconds')
+    .optional()
+    .isInt({ min: 1, max: 300 })
+    .withMessage('Burst window must be between 1 and 300 seconds')
+];
+
+const validateStandingQuery = [
+  query('standing')
+    .optional()
+    .isIn(['warning', 'barred'])
+    .withMessage('Standing must be warning or barred'),
+  validateSectionQuery
+];
+
+const validateStudentReportQuery = [
+  query('format')
+    .optional()
+    .isIn(['json', 'pdf'])
+    .withMessage('Format must be json or pdf'),
+  query('semester')
+    .optional()
+    .isIn(['Fall', 'Spring', 'Summer', 'Winter'])
+    .withMessage('Semester must be Fall, Spring, Summer, or Winter'),
+  query('year')
+    .optional()
+    .isInt({ min: 2020 })
+    .withMessage('Year must be 2020 or later')
+];
+
+// Validation for the filters shared by admin analytics
+const validateAnalyticsFilters = [
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid ISO date'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid ISO date'),
+  query('department')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Department must be between 1 and 100 characters'),
+  query('semester')
+    .optional()
+    .isIn(['Fall', 'Spring', 'Summer', 'Winter'])
+    .withMessage('Semester must be Fall, Spring, Summer, or Winter'),
+  query('year')
+    .optional()
+    .isInt({ min: 2000, max: 2100 })
+    .withMessage('Year must be a valid year'),
+  query('professorId')
+    .optional()
+    .isMongoId()
+    .withMessage('professorId must be a valid MongoDB ObjectId'),
+  query('threshold')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Threshold must be between 0 and 100'),
+  query('timezone')
+    .optional()
+    .custom(value => {
+      try {
+        Intl.DateTimeFormat('en-US', { timeZone: value });
+        return true;
+      } catch (error) {
+        throw new Error('Timezone must be a valid IANA time zone');
+      }
+    })
+];
+
+const validateAnalyticsQuery = [
+  query('groupBy')
+    .optional()
+    .isIn(['department', 'semester', 'professor', 'course', 'weekday', 'timeSlot'])
+    .withMessage('groupBy must be department, semester, professor, course, weekday, or timeSlot'),
+  ...validateAnalyticsFilters
+];
+
+const validateTrendsQuery = [
+  query('interval')
+    .optional()
+    .isIn(['week', 'month'])
+    .withMessage('Interval must be week or month'),
+  query('groupBy')
+    .optional()
+    .isIn(['department'])
+    .withMessage('Trends can only be grouped by department'),
+  ...validateAnalyticsFilters
 ];
 
+// Validation for manual attendance changes
+const ATTENDANCE_STATUSES = ['present', 'late', 'absent', 'excused'];
+
+const validateChangeReason = body('reason')
+  .trim()
+  .isLength({ min: 3, max: 500 })
+  .withMessage('A reason between 3 and 500 characters is required');
+
+const validateCreateRecords = [
+  body('sessionId')
+    .isMongoId()
+    .withMessage('Valid session ID is required'),
+  body('studentId')
+    .optional()
+    .isMongoId()
+    .withMessage('studentId must be a valid MongoDB ObjectId'),
+  body('status')
+    .optional()
+    .isIn(ATTENDANCE_STATUSES)
+    .withMessage('Status must be present, late, absent, or excused'),
+  body('records')
+    .optional()
+    .isArray({ min: 1, max: 500 })
+    .withMessage('Records must be an array of 1 to 500 entries'),
+  body('records.*.studentId')
+    .isMongoId()
+    .withMessage('Each record needs a valid studentId'),
+  body('records.*.status')
+    .isIn(ATTENDANCE_STATUSES)
+    .withMessage('Each record status must be present, late, absent, or excused'),
+  validateChangeReason
+];
+
+const validateUpdateRecords = [
+  body('status')
+    .optional()
+    .isIn(ATTENDANCE_STATUSES)
+    .withMessage('Status must be present, late, absent, or excused'),
+  body('updates')
+    .optional()
+    .isArray({ min: 1, max: 500 })
+    .withMessage('Updates must be an array of 1 to 500 entries'),
+  body('updates.*.recordId')
+    .isMongoId()
+    .withMessage('Each update needs a valid recordId'),
+  body('updates.*.status')
+    .isIn(ATTENDANCE_STATUSES)
+    .withMessage('Each update status must be present, late, absent, or excused'),
+  validateChangeReason
+];
+
+const validateDeleteRecords = [
+  body('recordIds')
+    .optional()
+    .isArray({ min: 1, max: 500 })
+    .withMessage('Record IDs must be an array of 1 to 500 entries'),
+  body('recordIds.*')
+    .isMongoId()
+    .withMessage('Each record ID must be a valid MongoDB ObjectId'),
+  validateChangeReason
+];
+
+// Validation for reviewing offline scans; rejections also need a reason
+const validateReviewScans = [
+  body('recordIds')
+    .optional()
+    .isArray({ min: 1, max: 500 })
+    .withMessage('Record IDs must be an array of 1 to 500 entries'),
+  body('recordIds.*')
+    .isMongoId()
+    .withMessage('Each record ID must be a valid MongoDB ObjectId')
+];
+
+// Validation for excuse requests
+const validateSubmitExcuse = [
+  body('sessionId')
+    .isMongoId()
+    .withMessage('Valid session ID is required'),
+  body('reason')
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Reason must be between 10 and 1000 characters')
+];
+
+const validateReviewExcuse = [
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note must not exceed 500 characters')
+];
+
+const validateExcuseQuery = [
+  query('courseId')
+    .optional()
+    .isMongoId()
+    .withMessage('courseId must be a valid MongoDB ObjectId'),
+  query('sessionId')
+    .optional()
+    .isMongoId()
+    .withMessage('sessionId must be a valid MongoDB ObjectId'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected'])
+    .withMessage('Status must be pending, approved, or rejected')
+];
+
+// Validation for attendance sessions
+const validateOpenSession = [
+  body('courseId')
+    .isMongoId()
+    .withMessage('Valid course ID is required'),
+  body('section')
+    .optional()
+    .matches(/^([0-9a-fA-F]{24}|[A-Za-z0-9-]{1,10})$/)
+    .withMessage('Section must be a section ID or code'),
+  body('opensAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Opening time must be a valid ISO date'),
+  body('durationMinutes')
+    .optional()
+    .isInt({ min: 1, max: 480 })
+    .withMessage('Duration must be between 1 and 480 minutes'),
+  body('requiresCheckOut')
+    .optional()
+    .isBoolean()
+    .withMessage('Requires check-out must be a boolean')
+];
+
+const validateExtendSession = [
+  body('minutes')
+    .isInt({ min: 1, max: 240 })
+    .withMessage('Minutes must be between 1 and 240')
+];
+
+const validateSessionQuery = [
+  query('courseId')
+    .optional()
+    .isMongoId()
+    .withMessage('courseId must be a valid MongoDB ObjectId'),
+  query('section')
+    .optional()
+    .isMongoId()
+    .withMessage('section must be a valid MongoDB ObjectId'),
+  query('state')
+    .optional()
+    .isIn(['scheduled', 'open', 'closed', 'cancelled'])
+    .withMessage('State must be scheduled, open, closed, or cancelled')
+];
+
+const validateCancelSession = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Reason cannot exceed 300 characters')
+];
+
+// Live roster streams accept a stream token in the query string (EventSource cannot send an Authorization header)
+router.get('/sessions/:id/stream', authenticateStream, requireUser, validateMongoId('id'), streamSession);
+
 // Protected routes (require authentication)
 router.use(authenticate);
 
 // Student routes
 router.post('/record', requireStudent, validateAttendanceRecord, recordAttendance);
-router.get('/my-attendance', requireStudent, getStudentAttendance);
+router.post('/record/batch', requireStudent, validateAttendanceBatch, recordAttendanceBatch);
+router.post('/record-code', requireStudent, checkInCodeLimiter, validateAttendanceCode, recordAttendanceCode);
+router.get('/my-attendance', requireStudent, validateAttendanceQuery, getStudentAttendance);
+router.get('/my-attendance/standing', requireStudent, validateAttendanceQuery, getMyStanding);
+router.post('/my-attendance/excuses', requireStudent, uploadExcuseDocument, validateSubmitExcuse, submitExcuse);
+router.get('/my-attendance/excuses', requireStudent, validateExcuseQuery, getMyExcuses);
+
+// Course staff routes (professor, co-instructors and teaching assistants)
+router.post('/generate-qr/:id', requireCourseStaff(), validateMongoId('id'), generateAttendanceQR);
+router.get('/course/:id', requireCourseStaff(), validateMongoId('id'), validateAttendanceQuery, getCourseAttendance);
+router.get('/course/:id/stats', requireCourseStaff(), validateMongoId('id'), validateAttendanceQuery, getAttendanceStats);
+router.get('/course/:id/at-risk', requireCourseStaff(), validateMongoId('id'), validateStandingQuery, getAtRiskStudents);
+router.get('/course/:id/anomalies', requireCourseStaff(), validateMongoId('id'), validateAttendanceQuery, validateAnomalyQuery, getAttendanceAnomalies);
+router.get('/course/:id/export', requireCourseStaff(), validateMongoId('id'), validateAttendanceQuery, validateExportFormat, exportCourseAttendance);
+
+// Manual attendance changes (Course staff)
+router.post('/course/:id/records', requireCourseStaff(), validateMongoId('id'), validateCreateRecords, createAttendanceRecords);
+router.put('/course/:id/records', requireCourseStaff(), validateMongoId('id'), validateUpdateRecords, updateAttendanceRecords);
+router.put('/course/:id/records/:recordId', requireCourseStaff(), validateMongoId('id'), validateMongoId('recordId'), validateUpdateRecords, updateAttendanceRecords);
+router.post('/course/:id/records/approve', requireCourseStaff(), validateMongoId('id'), validateReviewScans, approveOfflineScans);
+router.post('/course/:id/records/reject', requireCourseStaff(), validateMongoId('id'), validateReviewScans, validateChangeReason, rejectOfflineScans);
+router.post('/course/:id/records/:recordId/approve', requireCourseStaff(), validateMongoId('id'), validateMongoId('recordId'), validateReviewScans, approveOfflineScans);
+router.post('/course/:id/records/:recordId/reject', requireCourseStaff(), validateMongoId('id'), validateMongoId('recordId'), validateReviewScans, validateChangeReason, rejectOfflineScans);
+router.delete('/course/:id/records', requireCourseStaff(), validateMongoId('id'), validateDeleteRecords, deleteAttendanceRecords);
+router.delete('/course/:id/records/:recordId', requireCourseStaff(), validateMongoId('id'), validateMongoId('recordId'), validateDeleteRecords, deleteAttendanceRecords);
+
+// Excuse review routes (Course staff; only instructors can decide)
+router.get('/course/:id/excuses', requireCourseStaff(), validateMongoId('id'), validateExcuseQuery, getCourseExcuses);
+router.post('/course/:id/excuses/:excuseId/approve', requireCourseStaff('co_instructor'), validateMongoId('id'), validateMongoId('excuseId'), validateReviewExcuse, approveExcuse);
+router.post('/course/:id/excuses/:excuseId/reject', requireCourseStaff('co_instructor'), validateMongoId('id'), validateMongoId('excuseId'), validateReviewExcuse, rejectExcuse);
+
+// Excuse documents (owning student or course staff)
+router.get('/excuses/:excuseId/document', requireUser, validateMongoId('excuseId'), getExcuseDocument);
+
+// Student attendance reports (the student, their course staff, or Admin)
+router.get('/students/:studentId/report', authorize('student', 'professor', 'admin'), validateMongoId('studentId'), validateStudentReportQuery, getStudentReport);
+
+// Attendance session routes (Course staff, checked per course)
+router.post('/sessions', requireUser, validateOpenSession, openSession);
+router.get('/sessions', requireUser, validatePagination, validateSessionQuery, getSessions);
+router.post('/sessions/:id/extend', requireUser, validateMongoId('id'), validateExtendSession, extendSession);
+router.post('/sessions/:id/close', requireUser, validateMongoId('id'), closeSession);
+router.post('/sessions/:id/cancel', requireUser, validateMongoId('id'), validateCancelSession, cancelSession);
+router.post('/sessions/:id/stream-token', requireUser, validateMongoId('id'), createStreamToken);
 
-// Professor routes
-router.post('/generate-qr/:id', requireProfessor, validateMongoId('id'), generateAttendanceQR);
-router.get('/course/:id', requireProfessor, validateMongoId('id'), getCourseAttendance);
-router.get('/course/:id/stats', requireProfessor, validateMongoId('id'), getAttendanceStats);
+// Analytics routes (Admin only)
+router.get('/analytics', requireAdmin, validateAnalyticsQuery, getAttendanceAnalytics);
+router.get('/analytics/trends', requireAdmin, validateTrendsQuery, getAttendanceTrends);
 
 module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  getCalendarFeed,
+  resetCalendarFeed,
+  exportCalendarFeed
+} = require('../controllers/calendarController');
+
+// Import middleware
+const { authenticate } = require('../middleware/auth');
+
+// Public routes (calendar apps cannot send an Authorization header)
+router.get('/feeds/:token.ics', exportCalendarFeed);
+
+// Protected routes (require authentication)
+router.use(authenticate);
+
+router.get('/feed', getCalendarFeed);
+router.post('/feed/reset', resetCalendarFeed);
+
+module.exports = router;
@@ -6,10 +6,24 @@ const {
   createCourse,
   getAllCourses,
   getCourseById,
+  getCourseMeetings,
   updateCourse,
   deleteCourse,
   enrollStudent,
   dropStudent,
+  getWaitlist,
+  leaveWaitlist,
+  getCourseStaff,
+  addCourseStaff,
+  removeCourseStaff,
+  getSections,
+  createSection,
+  updateSection,
+  deleteSection,
+  getPrerequisites,
+  grantPrerequisiteOverride,
+  revokePrerequisiteOverride,
+  completeEnrollments,
   getCoursesByProfessor,
   getMyCourses
 } = require('../controllers/courseController');
@@ -20,11 +34,17 @@ const {
   requireProfessor, 
   requireStudent, 
   requireUser,
+  requireCourseStaff,
   optionalAuth 
 } = require('../middleware/auth');
 const {
   validateCreateCourse,
   validateUpdateCourse,
+  validateCourseStaff,
+  validatePrerequisiteOverride,
+  validateCompleteEnrollments,
+  validateCreateSection,
+  validateUpdateSection,
   validateMongoId,
   validatePagination
 } = require('../middleware/validation');
@@ -32,6 +52,8 @@ const {
 // Public routes (with optional authentication)
 router.get('/', optionalAuth, validatePagination, getAllCourses);
 router.get('/:id', optionalAuth, validateMongoId('id'), getCourseById);
+router.get('/:id/meetings', optionalAuth, validateMongoId('id'), getCourseMeetings);
+router.get('/:id/sections', optionalAuth, validateMongoId('id'), getSections);
 router.get('/professor/:professorId', validateMongoId('professorId'), validatePagination, getCoursesByProfessor);
 
 // Protected routes (require authentication)
@@ -42,9 +64,27 @@ router.post('/', requireProfessor, validateCreateCourse, createCourse);
 router.put('/:id', requireProfessor, validateMongoId('id'), validateUpdateCourse, updateCourse);
 router.delete('/:id', requireProfessor, validateMongoId('id'), deleteCourse);
 
+// Course staff routes (listing for course staff, changes by the professor only)
+router.get('/:id/staff', requireCourseStaff(), validateMongoId('id'), getCourseStaff);
+router.post('/:id/staff', requireProfessor, validateMongoId('id'), validateCourseStaff, addCourseStaff);
+router.delete('/:id/staff/:userId', requireProfessor, validateMongoId('id'), validateMongoId('userId'), removeCourseStaff);
+
+// Section routes (Professor only)
+router.post('/:id/sections', requireProfessor, validateMongoId('id'), validateCreateSection, createSection);
+router.put('/:id/sections/:sectionId', requireProfessor, validateMongoId('id'), validateMongoId('sectionId'), validateUpdateSection, updateSection);
+router.delete('/:id/sections/:sectionId', requireProfessor, validateMongoId('id'), validateMongoId('sectionId'), deleteSection);
+
+// Prerequisite routes (overrides by the professor only)
+router.get('/:id/prerequisites', validateMongoId('id'), getPrerequisites);
+router.post('/:id/prerequisite-overrides', requireProfessor, validateMongoId('id'), validatePrerequisiteOverride, grantPrerequisiteOverride);
+router.delete('/:id/prerequisite-overrides/:studentId', requireProfessor, validateMongoId('id'), validateMongoId('studentId'), revokePrerequisiteOverride);
+router.post('/:id/complete', requireProfessor, validateMongoId('id'), validateCompleteEnrollments, completeEnrollments);
+
 // Student enrollment routes
 router.post('/:id/enroll', requireStudent, validateMongoId('id'), enrollStudent);
 router.post('/:id/drop', requireStudent, validateMongoId('id'), dropStudent);
+router.get('/:id/waitlist', validateMongoId('id'), getWaitlist);
+router.delete('/:id/waitlist', requireStudent, validateMongoId('id'), leaveWaitlist);
 
 // User-specific routes
 router.get('/my/courses', requireUser, validatePagination, getMyCourses);
@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+
+// Import controllers
+const {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+} = require('../controllers/notificationController');
+
+// Import middleware
+const { authenticate } = require('../middleware/auth');
+const {
+  validateMongoId,
+  validatePagination
+} = require('../middleware/validation');
+
+// Validation for notification queries
+const validateNotificationQuery = [
+  query('unread')
+    .optional()
+    .isBoolean()
+    .withMessage('unread must be a boolean')
+];
+
+// All routes require authentication
+router.use(authenticate);
+
+router.get('/', validatePagination, validateNotificationQuery, getNotifications);
+router.post('/read-all', markAllNotificationsRead);
+router.post('/:id/read', validateMongoId('id'), markNotificationRead);
+
+module.exports = router;
@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+
+// Import controllers
+const {
+  getRooms,
+  getRoomAvailability,
+  getRoomById,
+  getRoomOccupancy,
+  createRoom,
+  updateRoom,
+  deleteRoom
+} = require('../controllers/roomController');
+
+// Import middleware
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const {
+  validateCreateRoom,
+  validateUpdateRoom,
+  validateMongoId
+} = require('../middleware/validation');
+
+// Validation for room filters
+const validateRoomFilters = [
+  query('minCapacity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('minCapacity must be a positive integer'),
+  query('equipment')
+    .optional()
+    .isString()
+    .withMessage('equipment must be a comma-separated list')
+];
+
+// Validation for the semester a timetable is shown for
+const validateSemesterQuery = [
+  query('semester')
+    .isIn(['Fall', 'Spring', 'Summer', 'Winter'])
+    .withMessage('Semester must be Fall, Spring, Summer, or Winter'),
+  query('year')
+    .isInt({ min: 2020 })
+    .withMessage('Year must be 2020 or later')
+];
+
+// Validation for availability searches
+const validateAvailabilityQuery = [
+  ...validateRoomFilters,
+  ...validateSemesterQuery,
+  query('days')
+    .custom(value => String(value).split(',').every(day =>
+      ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'].includes(day.trim())
+    ))
+    .withMessage('days must be a comma-separated list of weekdays'),
+  query('startTime')
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Start time must be in HH:MM format'),
+  query('endTime')
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('End time must be in HH:MM format')
+];
+
+// Protected routes (require authentication)
+router.use(authenticate);
+
+router.get('/', validateRoomFilters, getRooms);
+router.get('/availability', validateAvailabilityQuery, getRoomAvailability);
+router.get('/:id', validateMongoId('id'), getRoomById);
+router.get('/:id/occupancy', validateMongoId('id'), validateSemesterQuery, getRoomOccupancy);
+
+// Room management routes (Admin only)
+router.post('/', requireAdmin, validateCreateRoom, createRoom);
+router.put('/:id', requireAdmin, validateMongoId('id'), validateUpdateRoom, updateRoom);
+router.delete('/:id', requireAdmin, validateMongoId('id'), deleteRoom);
+
+module.exports = router;
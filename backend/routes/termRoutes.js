@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+
+// Import controllers
+const {
+  getTerms,
+  getTermById,
+  createTerm,
+  updateTerm,
+  deleteTerm
+} = require('../controllers/termController');
+
+// Import middleware
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const {
+  validateCreateTerm,
+  validateUpdateTerm,
+  validateMongoId
+} = require('../middleware/validation');
+
+// Validation for term queries
+const validateTermQuery = [
+  query('semester')
+    .optional()
+    .isIn(['Fall', 'Spring', 'Summer', 'Winter'])
+    .withMessage('Semester must be Fall, Spring, Summer, or Winter'),
+  query('year')
+    .optional()
+    .isInt({ min: 2020 })
+    .withMessage('Year must be 2020 or later'),
+  query('includeInactive')
+    .optional()
+    .isBoolean()
+    .withMessage('includeInactive must be a boolean')
+];
+
+// Public routes
+router.get('/', validateTermQuery, getTerms);
+router.get('/:id', validateMongoId('id'), getTermById);
+
+// Protected routes (require authentication)
+router.use(authenticate);
+
+// Term management routes (Admin only)
+router.post('/', requireAdmin, validateCreateTerm, createTerm);
+router.put('/:id', requireAdmin, validateMongoId('id'), validateUpdateTerm, updateTerm);
+router.delete('/:id', requireAdmin, validateMongoId('id'), deleteTerm);
+
+module.exports = router;
@@ -0,0 +1,142 @@
+/**
+ * Attendance Policy Service
+ * Works out students' standing under their course's attendance policy and
+ * notifies them when it gets worse
+ */
+
+const Course = require('../models/Course');
+const Attendance = require('../models/Attendance');
+const AttendanceSession = require('../models/AttendanceSession');
+const Notification = require('../models/Notification');
+
+// Standings from best to worst
+const STANDING_ORDER = ['good', 'warning', 'barred'];
+
+class AttendancePolicyService {
+  /**
+   * Work out the standing of a course's enrolled students
+   * @param {Object} course - Course with enrolledStudents
+   * @param {Object} options - { studentId } to only work out one student, or
+   *   { section } for the students of one section
+   * @returns {Promise<Array>} One entry per enrolled student
+   */
+  async getStandings(course, { studentId, section } = {}) {
+    const sessions = await AttendanceSession.findHeld(course._id, { section });
+    const minimumPresence = course.attendanceSettings
+      ? course.attendanceSettings.minimumPresencePercent || 0
+      : 0;
+    const aggregation = await Attendance.summarize(
+      course._id,
+      sessions.map(session => session._id),
+      { minimumPresence, studentId }
+    );
+    const countsByStudent = new Map(
+      aggregation.byStudent.map(entry => [entry._id.toString(), entry])
+    );
+
+    return course.enrolledStudents
+      .filter(enrollment => enrollment.status === 'enrolled' && enrollment.student)
+      .filter(enrollment => !studentId || this.studentIdOf(enrollment) === studentId.toString())
+      .filter(enrollment => section === undefined || String(enrollment.section || '') === String(section || ''))
+      .map(enrollment => {
+        const entry = countsByStudent.get(this.studentIdOf(enrollment));
+        const counts = {
+          present: entry ? entry.present : 0,
+          late: entry ? entry.late : 0,
+          absent: entry ? entry.absent : 0,
+          excused: entry ? entry.excused : 0
+        };
+
+        return {
+          enrollment,
+          student: enrollment.student,
+          ...counts,
+          // Students only attend the sessions of their own section
+          totalSessions: sessions.filter(session => session.isForSection(enrollment.section)).length,
+          ...course.getAttendanceStanding(counts)
+        };
+      });
+  }
+
+  /**
+   * Recompute a course's standings, store them and notify students whose
+   * standing got worse since the last time
+   * @param {string} courseId - Course ID
+   * @returns {Promise<number>} Number of students notified
+   */
+  async refreshStandings(courseId) {
+    const course = await Course.findById(courseId)
+      .select('title courseCode attendancePolicy attendanceSettings enrolledStudents');
+    if (!course || !course.hasAttendancePolicy) {
+      return 0;
+    }
+
+    const standings = await this.getStandings(course);
+    const changed = standings.filter(entry =>
+      entry.standing !== (entry.enrollment.attendanceStanding || 'good')
+    );
+    if (changed.length === 0) {
+      return 0;
+    }
+
+    await Course.bulkWrite(changed.map(entry => ({
+      updateOne: {
+        filter: { _id: course._id, 'enrolledStudents._id': entry.enrollment._id },
+        update: { $set: { 'enrolledStudents.$.attendanceStanding': entry.standing } }
+      }
+    })));
+
+    // Improvements are stored silently; only a worse standing is worth a notification
+    const worse = changed.filter(entry =>
+      STANDING_ORDER.indexOf(entry.standing) >
+      STANDING_ORDER.indexOf(entry.enrollment.attendanceStanding || 'good')
+    );
+    if (worse.length > 0) {
+      await Notification.insertMany(worse.map(entry => this.buildNotification(course, entry)));
+    }
+    return worse.length;
+  }
+
+  /**
+   * Refresh a course's standings without holding up the caller
+   * @param {string} courseId - Course ID
+   */
+  refreshStandingsInBackground(courseId) {
+    this.refreshStandings(courseId)
+      .catch(error => console.error('Attendance policy error:', error));
+  }
+
+  /**
+   * Build the notification sent when a student's standing gets worse
+   * @param {Object} course - Course
+   * @param {Object} entry - Standing entry from getStandings
+   * @returns {Object} Notification document
+   */
+  buildNotification(course, entry) {
+    const barred = entry.standing === 'barred';
+    const details = entry.reasons.join('; ');
+
+    return {
+      recipient: this.studentIdOf(entry.enrollment),
+      type: barred ? 'attendance_barred' : 'attendance_warning',
+      course: course._id,
+      title: barred
+        ? `${course.courseCode}: attendance requirement not met`
+        : `${course.courseCode}: attendance warning`,
+      message: barred
+        ? `You no longer meet the attendance requirement for ${course.title} and may be barred from the final exam (${details}).`
+        : `Your attendance in ${course.title} is close to the course's limit (${details}).`
+    };
+  }
+
+  /**
+   * Get the student ID of an enrollment, populated or not
+   * @param {Object} enrollment - Course enrollment
+   * @returns {string}
+   */
+  studentIdOf(enrollment) {
+    return (enrollment.student._id || enrollment.student).toString();
+  }
+}
+
+module.exports = AttendancePolicyService;
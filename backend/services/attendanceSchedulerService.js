@@ -0,0 +1,150 @@
+/**
+ * Attendance Scheduler Service
+ * Creates attendance sessions from course timetables in the background, and
+ * opens and closes them on time so nobody has to press "generate QR"
+ */
+
+const Course = require('../models/Course');
+const AttendanceSession = require('../models/AttendanceSession');
+const AttendancePolicyService = require('./attendancePolicyService');
+
+// Timetables change rarely, so they are re-read less often than sessions are opened and closed
+const SCHEDULE_SYNC_INTERVAL_MS = 60 * 60 * 1000;
+
+class AttendanceSchedulerService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.lastSyncAt = null;
+    this.attendancePolicyService = new AttendancePolicyService();
+  }
+
+  /**
+   * Start checking sessions at a regular interval
+   * @param {number} intervalSeconds - Seconds between checks
+   */
+  start(intervalSeconds = parseInt(process.env.ATTENDANCE_SCHEDULER_INTERVAL_SECONDS) || 60) {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), intervalSeconds * 1000);
+    // Do not keep the process alive just for the scheduler
+    this.timer.unref();
+    this.tick();
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Run one round: sync timetables when due, then open and close sessions
+   * @param {Date} now - Current time
+   */
+  async tick(now = new Date()) {
+    // A slow round must not overlap with the next one
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      if (!this.lastSyncAt || now - this.lastSyncAt >= SCHEDULE_SYNC_INTERVAL_MS) {
+        await this.syncAllCourses(now);
+        this.lastSyncAt = now;
+      }
+      await this.openDueSessions(now);
+      await this.closeDueSessions(now);
+    } catch (error) {
+      console.error('Attendance scheduler error:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Create sessions for every course that has automatic sessions turned on
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Number of sessions created
+   */
+  async syncAllCourses(now = new Date()) {
+    const courses = await Course.find({ isActive: true, 'attendanceSettings.autoSessions': true })
+      .select('professor isActive schedule sections term startDate endDate attendanceSettings')
+      .populate('term');
+
+    let created = 0;
+    for (const course of courses) {
+      const result = await AttendanceSession.syncSchedule(course, now);
+      created += result.created;
+    }
+    return created;
+  }
+
+  /**
+   * Re-create a course's upcoming sessions after its timetable or settings change
+   * @param {string} courseId - Course ID
+   * @returns {Promise<Object>} { created, updated, removed }
+   */
+  async syncCourse(courseId) {
+    const course = await Course.findById(courseId)
+      .select('professor isActive schedule sections term startDate endDate attendanceSettings')
+      .populate('term');
+    if (!course) {
+      return { created: 0, updated: 0, removed: 0 };
+    }
+    return AttendanceSession.syncSchedule(course);
+  }
+
+  /**
+   * Sync a course without holding up the caller
+   * @param {string} courseId - Course ID
+   */
+  syncCourseInBackground(courseId) {
+    this.syncCourse(courseId)
+      .catch(error => console.error('Attendance scheduler error:', error));
+  }
+
+  /**
+   * Mark scheduled sessions whose opening time has come as open
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Number of sessions opened
+   */
+  async openDueSessions(now = new Date()) {
+    const result = await AttendanceSession.updateMany(
+      { state: 'scheduled', opensAt: { $lte: now }, closesAt: { $gt: now } },
+      { $set: { state: 'open' } }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Close sessions whose closing time has passed and mark absences
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Number of sessions closed
+   */
+  async closeDueSessions(now = new Date()) {
+    const courseIds = await AttendanceSession.distinct('course', {
+      finalizedAt: null,
+      state: { $ne: 'cancelled' },
+      closesAt: { $lte: now }
+    });
+
+    let closed = 0;
+    for (const courseId of courseIds) {
+      const count = await AttendanceSession.finalizeExpired(courseId);
+      if (count) {
+        closed += count;
+        this.attendancePolicyService.refreshStandingsInBackground(courseId);
+      }
+    }
+    return closed;
+  }
+}
+
+// A single instance, so only one timer runs per process
+module.exports = new AttendanceSchedulerService();
@@ -0,0 +1,231 @@
+/**
+ * Attendance Stream Service
+ * Fans out live check-ins of an attendance session to the Server-Sent Events
+ * streams watching it (the professor's projector view)
+ *
+ * Once started, events are written to a capped collection that every API
+ * server tails, so a check-in handled by one server reaches the streams
+ * connected to any other. Until then (or in scripts) they stay in this process
+ */
+
+const { EventEmitter } = require('events');
+const AttendanceSession = require('../models/AttendanceSession');
+const AttendanceStreamEvent = require('../models/AttendanceStreamEvent');
+const User = require('../models/User');
+
+// Events that carry the session's running counts, worked out where the stream is connected
+const ROSTER_EVENTS = ['check-in', 'check-out', 'record'];
+
+// How long to wait before reopening the shared event feed after it ends
+const TAIL_RETRY_MS = 1000;
+
+class AttendanceStreamService {
+  constructor() {
+    this.emitter = new EventEmitter();
+    // One listener per open stream, so there is no meaningful limit
+    this.emitter.setMaxListeners(0);
+    this.shared = false;
+    this.cursor = null;
+    // Events are delivered one at a time, in the order they were published
+    this.delivery = Promise.resolve();
+  }
+
+  /**
+   * Start passing events through the database, so streams on every server get them
+   */
+  async start() {
+    if (this.shared) {
+      return;
+    }
+
+    await AttendanceStreamEvent.createCollection();
+    this.shared = true;
+    this.tail();
+  }
+
+  /**
+   * Stop reading the shared event feed and go back to events in this process
+   */
+  stop() {
+    this.shared = false;
+    if (this.cursor) {
+      this.cursor.close().catch(() => {});
+      this.cursor = null;
+    }
+  }
+
+  /**
+   * Read events from the shared feed for as long as the service runs
+   */
+  async tail() {
+    while (this.shared) {
+      try {
+        // Only events written after our own marker are new
+        const marker = await AttendanceStreamEvent.create({ event: 'listening' });
+        this.cursor = AttendanceStreamEvent.collection.find({}, { tailable: true, awaitData: true });
+
+        let caughtUp = false;
+        for await (const event of this.cursor) {
+          if (!caughtUp) {
+            caughtUp = event._id.equals(marker._id);
+            continue;
+          }
+          if (event.session) {
+            this.queue(event.session, event.event, event.data);
+          }
+        }
+      } catch (error) {
+        if (this.shared) {
+          console.error('Attendance stream error:', error);
+        }
+      }
+
+      // The feed ends when the collection wraps around past our position; reopen it
+      if (this.shared) {
+        await new Promise(resolve => setTimeout(resolve, TAIL_RETRY_MS));
+      }
+    }
+  }
+
+  /**
+   * Whether any stream in this process is watching a session
+   * @param {string} sessionId - Attendance session ID
+   * @returns {boolean}
+   */
+  hasSubscribers(sessionId) {
+    return this.emitter.listenerCount(sessionId.toString()) > 0;
+  }
+
+  /**
+   * Whether a stream anywhere may be watching a session; with the shared
+   * feed, streams on other servers cannot be seen from here
+   * @param {string} sessionId - Attendance session ID
+   * @returns {boolean}
+   */
+  mayHaveSubscribers(sessionId) {
+    return this.shared || this.hasSubscribers(sessionId);
+  }
+
+  /**
+   * Watch a session's events
+   * @param {string} sessionId - Attendance session ID
+   * @param {Function} listener - Called with (event, data) for every event
+   * @returns {Function} Stops watching
+   */
+  subscribe(sessionId, listener) {
+    const key = sessionId.toString();
+    this.emitter.on(key, listener);
+    return () => this.emitter.off(key, listener);
+  }
+
+  /**
+   * Send an event to every stream watching a session
+   * @param {string} sessionId - Attendance session ID
+   * @param {string} event - Event name
+   * @param {Object} data - Event payload
+   * @returns {Promise<void>} Resolves once the event is published; failures are logged
+   */
+  async publish(sessionId, event, data) {
+    if (!this.shared) {
+      this.queue(sessionId, event, data);
+      return;
+    }
+
+    try {
+      await AttendanceStreamEvent.create({ session: sessionId, event, data });
+    } catch (error) {
+      console.error('Attendance stream error:', error);
+    }
+  }
+
+  /**
+   * Deliver an event to this process's streams after the ones before it
+   * @param {string} sessionId - Attendance session ID
+   * @param {string} event - Event name
+   * @param {Object} data - Event payload
+   */
+  queue(sessionId, event, data) {
+    this.delivery = this.delivery
+      .then(() => this.deliver(sessionId, event, data))
+      .catch(error => console.error('Attendance stream error:', error));
+  }
+
+  /**
+   * Hand an event to the streams in this process, adding the running counts to roster events
+   * @param {string} sessionId - Attendance session ID
+   * @param {string} event - Event name
+   * @param {Object} data - Event payload
+   */
+  async deliver(sessionId, event, data) {
+    if (!this.hasSubscribers(sessionId)) return;
+
+    let payload = data;
+    if (ROSTER_EVENTS.includes(event)) {
+      const session = await AttendanceSession.findById(sessionId);
+      payload = { ...data, counts: session ? await session.getRosterCounts() : null };
+    }
+    this.emitter.emit(sessionId.toString(), event, payload);
+  }
+
+  /**
+   * Shape a check-in for the roster
+   * @param {Object} record - Attendance record
+   * @param {Object} student - Student user (name, studentId)
+   * @returns {Object}
+   */
+  formatCheckIn(record, student) {
+    return {
+      _id: record._id,
+      student: {
+        _id: student._id,
+        name: student.name,
+        studentId: student.studentId
+      },
+      status: record.status,
+      method: record.method,
+      recordedAt: record.recordedAt,
+      checkedOutAt: record.checkedOutAt,
+      minutesPresent: record.minutesPresent,
+      flags: record.flags,
+      syncReview: record.syncReview ? record.syncReview.status : null
+    };
+  }
+
+  /**
+   * Push an accepted check-in or check-out
+   * @param {Object} session - Attendance session
+   * @param {Object} record - The attendance record
+   * @param {Object} student - Student who scanned
+   * @param {string} event - 'check-in' or 'check-out' (default: 'check-in')
+   */
+  async publishCheckIn(session, record, student, event = 'check-in') {
+    if (!this.mayHaveSubscribers(session._id)) return;
+
+    await this.publish(session._id, event, {
+      checkIn: this.formatCheckIn(record, student)
+    });
+  }
+
+  /**
+   * Push records staff created, changed or deleted by hand
+   * @param {Array} changes - { record, action } entries, where action is 'create', 'update' or 'delete'
+   */
+  async publishRecordChanges(changes) {
+    const watched = changes.filter(({ record }) => this.mayHaveSubscribers(record.session));
+    if (watched.length === 0) return;
+
+    const students = await User.find({ _id: { $in: watched.map(({ record }) => record.student) } })
+      .select('name studentId');
+    const studentById = new Map(students.map(student => [student._id.toString(), student]));
+
+    for (const { record, action } of watched) {
+      await this.publish(record.session, 'record', {
+        action,
+        checkIn: this.formatCheckIn(record, studentById.get(record.student.toString()) || { _id: record.student })
+      });
+    }
+  }
+}
+
+// A single instance shared by every controller, so publishers and streams meet
+module.exports = new AttendanceStreamService();
@@ -0,0 +1,149 @@
+/**
+ * Waitlist Service
+ * Offers freed seats to the next waitlisted students, withdraws offers that
+ * were not taken up in time and lets students know
+ */
+
+const Course = require('../models/Course');
+const Notification = require('../models/Notification');
+const { formatDate, formatTime } = require('../utils/helpers');
+
+class WaitlistService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start withdrawing expired offers at a regular interval
+   * @param {number} intervalSeconds - Seconds between checks
+   */
+  start(intervalSeconds = parseInt(process.env.WAITLIST_CHECK_INTERVAL_SECONDS) || 300) {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), intervalSeconds * 1000);
+    // Do not keep the process alive just for the waitlist
+    this.timer.unref();
+    this.tick();
+  }
+
+  /**
+   * Stop the periodic checks
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Run one round of expiring offers
+   * @param {Date} now - Current time
+   */
+  async tick(now = new Date()) {
+    // A slow round must not overlap with the next one
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      await this.expireOffers(now);
+    } catch (error) {
+      console.error('Waitlist error:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Withdraw every expired offer and pass the seats on down the line
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Number of offers withdrawn
+   */
+  async expireOffers(now = new Date()) {
+    const courses = await Course.find({ 'waitlist.offerExpiresAt': { $lte: now } });
+
+    let expired = 0;
+    for (const course of courses) {
+      try {
+        const result = await this.promote(course, now);
+        expired += result.expired.length;
+      } catch (error) {
+        // A course changed by someone else in the meantime is retried next round
+        console.error('Waitlist error:', error);
+      }
+    }
+    return expired;
+  }
+
+  /**
+   * Offer a course's free seats to the next students in line, save the course
+   * and notify the students concerned
+   * @param {Object} course - Course document
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} { offered, expired } waitlist entries
+   */
+  async promote(course, now = new Date()) {
+    const result = course.promoteFromWaitlist(now);
+    if (result.offered.length === 0 && result.expired.length === 0) {
+      return result;
+    }
+
+    await course.save();
+    await Notification.insertMany([
+      ...result.offered.map(entry => this.buildOfferNotification(course, entry)),
+      ...result.expired.map(entry => this.buildExpiryNotification(course, entry))
+    ]);
+    return result;
+  }
+
+  /**
+   * Promote waitlisted students of a course without holding up the caller
+   * @param {string} courseId - Course ID
+   */
+  promoteInBackground(courseId) {
+    Course.findById(courseId)
+      .then(course => course && this.promote(course))
+      .catch(error => console.error('Waitlist error:', error));
+  }
+
+  /**
+   * Build the notification sent when a seat is offered to a student
+   * @param {Object} course - Course
+   * @param {Object} entry - Waitlist entry
+   * @returns {Object} Notification document
+   */
+  buildOfferNotification(course, entry) {
+    const deadline = `${formatDate(entry.offerExpiresAt)} at ${formatTime(entry.offerExpiresAt)}`;
+    const section = course.getSection(entry.section);
+
+    return {
+      recipient: entry.student,
+      type: 'waitlist_offer',
+      course: course._id,
+      title: `${course.courseCode}: a seat is available`,
+      message: `A seat in ${course.title}${section ? ` (section ${section.code})` : ''} is held for you. Enroll by ${deadline} to take it, or it goes to the next student on the waitlist.`
+    };
+  }
+
+  /**
+   * Build the notification sent when a student lets an offer expire
+   * @param {Object} course - Course
+   * @param {Object} entry - Waitlist entry
+   * @returns {Object} Notification document
+   */
+  buildExpiryNotification(course, entry) {
+    return {
+      recipient: entry.student,
+      type: 'waitlist_expired',
+      course: course._id,
+      title: `${course.courseCode}: seat offer expired`,
+      message: `Your offer of a seat in ${course.title} expired and you have been taken off the waitlist. You can join it again.`
+    };
+  }
+}
+
+// A single instance, so only one timer runs per process
+module.exports = new WaitlistService();
@@ -0,0 +1,138 @@
+const ExcelJS = require('exceljs');
+const { calculateAttendanceRate } = require('./helpers');
+
+// Cell codes used in the roster-by-session matrix
+const STATUS_CODES = {
+  present: 'P',
+  late: 'L',
+  absent: 'A',
+  excused: 'E'
+};
+
+/**
+ * Format a session start as a column label (server local time)
+ * @param {Date} date - Session opening time
+ * @returns {string} Label like 2024-01-15 10:00
+ */
+const formatSessionLabel = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  const d = new Date(date);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
+
+/**
+ * Build a roster-by-session attendance matrix
+ * @param {Object} params
+ * @param {Array} params.students - Student users (name, email, studentId)
+ * @param {Array} params.sessions - Attendance sessions, in column order
+ * @param {Array} params.records - Attendance records for those sessions
+ * @param {Map} params.sectionCodes - Section codes by section ID, to label section sessions
+ * @param {number} params.minimumPresence - Check-ins that stayed less than this percent count as absences
+ * @returns {Object} { header, rows } where every row is an array of cell values
+ */
+const buildAttendanceMatrix = ({ students, sessions, records, sectionCodes = new Map(), minimumPresence = 0 }) => {
+  const isShortStay = (record) => ['present', 'late'].includes(record.status) &&
+    typeof record.presencePercent === 'number' && record.presencePercent < minimumPresence;
+  const statusByKey = new Map(
+    records.map(record => [`${record.student}_${record.session}`, isShortStay(record) ? 'absent' : record.status])
+  );
+
+  const header = [
+    'Student ID',
+    'Name',
+    'Email',
+    ...sessions.map(session => session.section && sectionCodes.has(session.section.toString())
+      ? `${formatSessionLabel(session.opensAt)} (${sectionCodes.get(session.section.toString())})`
+      : formatSessionLabel(session.opensAt)),
+    'Present',
+    'Late',
+    'Absent',
+    'Excused',
+    'Attendance Rate (%)'
+  ];
+
+  const rows = students.map(student => {
+    const counts = { present: 0, late: 0, absent: 0, excused: 0 };
+    const cells = sessions.map(session => {
+      const status = statusByKey.get(`${student._id}_${session._id}`);
+      if (!status) return '';
+      counts[status] += 1;
+      return STATUS_CODES[status];
+    });
+
+    return [
+      student.studentId || '',
+      student.name,
+      student.email || '',
+      ...cells,
+      counts.present,
+      counts.late,
+      counts.absent,
+      counts.excused,
+      calculateAttendanceRate(counts)
+    ];
+  });
+
+  return { header, rows };
+};
+
+/**
+ * Escape a value for CSV, neutralising spreadsheet formulas
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+const escapeCSVValue = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render an attendance matrix as CSV
+ * @param {Object} matrix - Matrix from buildAttendanceMatrix
+ * @returns {string} CSV document
+ */
+const matrixToCSV = ({ header, rows }) => {
+  return [header, ...rows]
+    .map(row => row.map(escapeCSVValue).join(','))
+    .join('\r\n') + '\r\n';
+};
+
+/**
+ * Render an attendance matrix as an XLSX workbook
+ * @param {Object} matrix - Matrix from buildAttendanceMatrix
+ * @param {string} sheetName - Worksheet name (default: 'Attendance')
+ * @returns {Promise<Buffer>} XLSX file contents
+ */
+const matrixToXLSX = async ({ header, rows }, sheetName = 'Attendance') => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'StudyWave';
+  workbook.created = new Date();
+
+  const sheet = workbook.addWorksheet(sheetName.substring(0, 31), {
+    views: [{ state: 'frozen', xSplit: 2, ySplit: 1 }]
+  });
+
+  sheet.addRow(header).font = { bold: true };
+  rows.forEach(row => sheet.addRow(row));
+
+  sheet.getColumn(1).width = 14;
+  sheet.getColumn(2).width = 28;
+  sheet.getColumn(3).width = 30;
+
+  const legend = workbook.addWorksheet('Legend');
+  legend.addRow(['Code', 'Status']).font = { bold: true };
+  Object.entries(STATUS_CODES).forEach(([status, code]) => legend.addRow([code, status]));
+
+  return workbook.xlsx.writeBuffer();
+};
+
+module.exports = {
+  STATUS_CODES,
+  formatSessionLabel,
+  buildAttendanceMatrix,
+  matrixToCSV,
+  matrixToXLSX
+};
@@ -0,0 +1,76 @@
+const PDFDocument = require('pdfkit');
+const { formatSessionLabel } = require('./attendanceExport');
+
+const STANDING_LABELS = {
+  good: 'Good standing',
+  warning: 'Warning',
+  barred: 'Attendance requirement not met'
+};
+
+/**
+ * Render a student attendance report as a printable PDF
+ * @param {Object} report - Report built by the attendance report controller
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+const renderStudentReportPDF = (report) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { student, term, courses, summary } = report;
+
+    // Header
+    doc.fontSize(18).text('Attendance Report', { align: 'center' });
+    doc.moveDown(0.5);
+    doc.fontSize(11)
+      .text(`Student: ${student.name}${student.studentId ? ` (${student.studentId})` : ''}`)
+      .text(`Email: ${student.email}`)
+      .text(`Term: ${term}`)
+      .text(`Generated: ${formatSessionLabel(report.generatedAt)}`);
+    doc.moveDown();
+
+    doc.fontSize(12).text(
+      `${summary.courses} course(s), overall attendance rate ${summary.attendanceRate}%, ` +
+      `${summary.absent} absence(s), ${summary.excused} excused`
+    );
+    doc.moveDown();
+
+    courses.forEach(entry => {
+      doc.fontSize(13).fillColor('black')
+        .text(`${entry.course.courseCode} - ${entry.course.title}`, { underline: true });
+      doc.fontSize(10)
+        .text(`Professor: ${entry.course.professor || '-'}`)
+        .text(
+          `Sessions held: ${entry.totalSessions}   Present: ${entry.present}   Late: ${entry.late}   ` +
+          `Absent: ${entry.absent}   Excused: ${entry.excused}   Rate: ${entry.attendanceRate}%`
+        );
+
+      if (entry.standing) {
+        doc.fillColor(entry.standing === 'good' ? 'black' : 'red')
+          .text(`Standing: ${STANDING_LABELS[entry.standing]}${entry.reasons.length ? ` (${entry.reasons.join('; ')})` : ''}`)
+          .fillColor('black');
+      }
+
+      if (entry.absences.length > 0) {
+        doc.text(`Absences: ${entry.absences.map(absence => formatSessionLabel(absence.date)).join(', ')}`);
+      }
+      if (entry.excusedSessions.length > 0) {
+        doc.text(`Excused: ${entry.excusedSessions.map(excused => formatSessionLabel(excused.date)).join(', ')}`);
+      }
+      doc.moveDown();
+    });
+
+    if (courses.length === 0) {
+      doc.fontSize(11).text('No courses for this term.');
+    }
+
+    doc.end();
+  });
+};
+
+module.exports = {
+  renderStudentReportPDF
+};
@@ -0,0 +1,93 @@
+const CRLF = '\r\n';
+
+// Longest line allowed before folding, in bytes
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a text value for an iCalendar property
+ * @param {string} value - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeText = (value) => {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+/**
+ * Format a date as an iCalendar UTC date-time
+ * @param {Date} date - Date to format
+ * @returns {string} Date-time such as 20240402T140000Z
+ */
+const formatDateTime = (date) => {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+/**
+ * Fold a content line so no line is longer than 75 bytes
+ * @param {string} line - Content line
+ * @returns {string} Folded line, continuation lines starting with a space
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let size = 0;
+
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    if (size + charSize > MAX_LINE_OCTETS) {
+      parts.push(current);
+      current = ' ';
+      size = 1;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join(CRLF);
+};
+
+/**
+ * Render events as an iCalendar (.ics) feed
+ * @param {Object} calendar - { name, events }, each event with uid, start, summary and
+ * optionally end, description, location, geo ({ latitude, longitude }) and status
+ * @param {Date} now - Time the feed is generated
+ * @returns {string} iCalendar file contents
+ */
+const renderCalendar = ({ name, events }, now = new Date()) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//StudyWave//Course Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    // Ask calendar apps to refresh hourly
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H'
+  ];
+
+  events.forEach(event => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatDateTime(now)}`,
+      `DTSTART:${formatDateTime(event.start)}`
+    );
+    if (event.end) lines.push(`DTEND:${formatDateTime(event.end)}`);
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.geo) lines.push(`GEO:${event.geo.latitude};${event.geo.longitude}`);
+    lines.push(`STATUS:${event.status || 'CONFIRMED'}`, 'END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join(CRLF) + CRLF;
+};
+
+module.exports = {
+  renderCalendar
+};
@@ -1,4 +1,5 @@
 const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 
 /**
  * Generate a random string of specified length
@@ -9,24 +10,321 @@ const generateRandomString = (length = 32) => {
   return crypto.randomBytes(length).toString('hex');
 };
 
+/**
+ * Get how often attendance QR codes rotate
+ * @returns {number} Rotation interval in seconds
+ */
+const getQRRotationSeconds = () => {
+  return parseInt(process.env.ATTENDANCE_QR_ROTATION_SECONDS) || 20;
+};
+
+/**
+ * Build the key attendance QR codes are signed with
+ * @param {Object} session - Attendance session (with its qrSecret selected)
+ * @returns {string} Signing key bound to both the server and the session
+ */
+const getQRSigningKey = (session) => {
+  if (!session.qrSecret) {
+    throw new Error('Attendance session secret is not loaded');
+  }
+  const serverSecret = process.env.ATTENDANCE_QR_SECRET || process.env.JWT_SECRET || 'your-secret-key';
+  return `${serverSecret}:${session.qrSecret}`;
+};
+
 /**
  * Generate QR code data for course attendance
  * @param {Object} course - Course object
- * @returns {string} JSON string for QR code
+ * @param {Object} session - Attendance session (with its qrSecret selected)
+ * @param {number} now - Time to sign the code for, in milliseconds (default: now)
+ * @returns {Object} Signed token for the QR code and when it stops being accepted
  */
-const generateQRCodeData = (course) => {
-  return JSON.stringify({
+const generateQRCodeData = (course, session, now = Date.now()) => {
+  const rotationSeconds = getQRRotationSeconds();
+  const step = Math.floor(now / 1000 / rotationSeconds);
+  // Accept the current code and the one before it, so a scan made just
+  // before the code on screen rotates still goes through
+  const expiresAt = (step + 2) * rotationSeconds;
+
+  const token = jwt.sign({
     type: 'course_attendance',
-    courseId: course._id,
+    courseId: course._id.toString(),
     courseCode: course.courseCode,
-    title: course.title,
-    professor: course.professor,
-    timestamp: new Date().toISOString(),
-    // Add a unique session ID for each QR code generation
-    sessionId: generateRandomString(16)
+    sessionId: session._id.toString(),
+    step,
+    iat: Math.floor(now / 1000),
+    exp: expiresAt
+  }, getQRSigningKey(session), { algorithm: 'HS256' });
+
+  return {
+    token,
+    validUntil: new Date(expiresAt * 1000),
+    refreshAt: new Date((step + 1) * rotationSeconds * 1000)
+  };
+};
+
+/**
+ * Read the session ID from attendance QR code data without verifying it
+ * @param {string} token - Scanned QR code data
+ * @returns {string|null} Session ID, or null if the data is not an attendance code
+ */
+const decodeQRCodeSession = (token) => {
+  const payload = jwt.decode(token);
+  if (!payload || payload.type !== 'course_attendance' || !payload.sessionId) {
+    return null;
+  }
+  return payload.sessionId;
+};
+
+/**
+ * Verify scanned attendance QR code data against its session
+ * @param {string} token - Scanned QR code data
+ * @param {Object} session - Attendance session (with its qrSecret selected)
+ * @param {number|null} at - Time the code was scanned, in milliseconds (default: now), or
+ *   null to accept a code that has since expired, for scans synced from an offline device
+ * @returns {Object} Verified QR code payload
+ * @throws {Error} If the signature is invalid, the code expired or belongs to another session
+ */
+const verifyQRCodeData = (token, session, at = Date.now()) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, getQRSigningKey(session), at === null
+      ? { algorithms: ['HS256'], ignoreExpiration: true }
+      : { algorithms: ['HS256'], clockTimestamp: Math.floor(at / 1000) });
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new Error('QR code has expired. Please scan the code currently displayed');
+    }
+    throw new Error('Invalid attendance QR code');
+  }
+
+  if (payload.type !== 'course_attendance' || payload.sessionId !== session._id.toString()) {
+    throw new Error('Invalid attendance QR code');
+  }
+
+  return payload;
+};
+
+/**
+ * Get how often numeric check-in codes rotate
+ * @returns {number} Rotation interval in seconds
+ */
+const getCheckInCodeRotationSeconds = () => {
+  return parseInt(process.env.ATTENDANCE_CODE_ROTATION_SECONDS) || 60;
+};
+
+/**
+ * Derive the numeric check-in code of a session for one rotation step
+ * @param {Object} session - Attendance session (with its qrSecret selected)
+ * @param {number} step - Rotation step
+ * @returns {string} 6-digit code
+ */
+const deriveCheckInCode = (session, step) => {
+  const digest = crypto.createHmac('sha256', getQRSigningKey(session))
+    .update(`check_in_code:${step}`)
+    .digest();
+  // Dynamic truncation, as in HOTP (RFC 4226)
+  const offset = digest[digest.length - 1] & 0x0f;
+  const value = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(value % 1000000).padStart(6, '0');
+};
+
+/**
+ * Generate the numeric check-in code for an attendance session
+ * @param {Object} session - Attendance session (with its qrSecret selected)
+ * @param {number} now - Time to generate the code for, in milliseconds (default: now)
+ * @returns {Object} The code and when it stops being accepted
+ */
+const generateCheckInCode = (session, now = Date.now()) => {
+  const rotationSeconds = getCheckInCodeRotationSeconds();
+  const step = Math.floor(now / 1000 / rotationSeconds);
+
+  return {
+    code: deriveCheckInCode(session, step),
+    // The previous code is still accepted for one rotation, as with QR codes
+    validUntil: new Date((step + 2) * rotationSeconds * 1000),
+    refreshAt: new Date((step + 1) * rotationSeconds * 1000)
+  };
+};
+
+/**
+ * Check a typed check-in code against an attendance session
+ * @param {string} code - Code entered by the student
+ * @param {Object} session - Attendance session (with its qrSecret selected)
+ * @param {number} at - Time the code was entered, in milliseconds (default: now)
+ * @returns {boolean} Whether the code is the current or the previous one
+ */
+const verifyCheckInCode = (code, session, at = Date.now()) => {
+  const step = Math.floor(at / 1000 / getCheckInCodeRotationSeconds());
+  const entered = Buffer.from(String(code));
+
+  return [step, step - 1].some(candidate => {
+    const expected = Buffer.from(deriveCheckInCode(session, candidate));
+    return expected.length === entered.length && crypto.timingSafeEqual(expected, entered);
   });
 };
 
+// Day names as used in Course.schedule.days, indexed like Date#getDay
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Combine a date with an HH:MM time of day
+ * @param {Date} date - Day to use
+ * @param {string} time - Time of day in HH:MM format
+ * @returns {Date} Date at that time of day (server local time)
+ */
+const setTimeOfDay = (date, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const result = new Date(date);
+  result.setHours(hours, minutes, 0, 0);
+  return result;
+};
+
+/**
+ * Get the scheduled meeting window of a course on a given day
+ * @param {Object} schedule - Course schedule (days, startTime, endTime)
+ * @param {Date} date - Day to check
+ * @returns {Object|null} { start, end } of the meeting, or null if the course does not meet that day
+ */
+const getScheduledMeeting = (schedule, date) => {
+  if (!schedule || !schedule.startTime || !schedule.days ||
+      !schedule.days.includes(WEEKDAYS[new Date(date).getDay()])) {
+    return null;
+  }
+
+  const start = setTimeOfDay(date, schedule.startTime);
+  const end = schedule.endTime ? setTimeOfDay(date, schedule.endTime) : null;
+  return { start, end };
+};
+
+/**
+ * List the scheduled meetings of a course between two dates
+ * @param {Object} schedule - Course schedule (days, startTime, endTime)
+ * @param {Date} from - First day to include
+ * @param {Date} to - Last day to include
+ * @returns {Array} { start, end } of each meeting, in order
+ */
+const listScheduledMeetings = (schedule, from, to) => {
+  const meetings = [];
+  const day = new Date(from);
+  day.setHours(0, 0, 0, 0);
+
+  while (day <= to) {
+    const meeting = getScheduledMeeting(schedule, day);
+    if (meeting) {
+      meetings.push(meeting);
+    }
+    day.setDate(day.getDate() + 1);
+  }
+  return meetings;
+};
+
+/**
+ * Find the days on which two weekly schedules meet at the same time
+ * @param {Object} a - Course schedule (days, startTime, endTime)
+ * @param {Object} b - Course schedule (days, startTime, endTime)
+ * @returns {Array} Days the meetings overlap on (empty if they never do)
+ */
+const findOverlappingDays = (a, b) => {
+  if (!a || !b || !a.startTime || !a.endTime || !b.startTime || !b.endTime) {
+    return [];
+  }
+
+  const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  };
+  // Back-to-back meetings (one ends when the other starts) do not overlap
+  const overlaps = toMinutes(a.startTime) < toMinutes(b.endTime) &&
+    toMinutes(b.startTime) < toMinutes(a.endTime);
+
+  return overlaps ? (a.days || []).filter(day => (b.days || []).includes(day)) : [];
+};
+
+/**
+ * Get whether enrolling into a course that clashes with a student's timetable
+ * is refused or allowed with a warning
+ * @returns {string} 'block' or 'warn'
+ */
+const getEnrollmentClashPolicy = () => {
+  return process.env.ENROLLMENT_CLASH_POLICY === 'block' ? 'block' : 'warn';
+};
+
+/**
+ * Calculate the great-circle distance between two coordinates
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {number} Distance in meters
+ */
+const calculateDistanceMeters = (from, to) => {
+  const earthRadius = 6371000;
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+  return Math.round(2 * earthRadius * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a)));
+};
+
+/**
+ * Check a reported device location against a room geofence
+ * The reported accuracy is given the benefit of the doubt, up to the fence radius.
+ * @param {Object} geofence - { latitude, longitude, radiusMeters }
+ * @param {Object} location - Reported { latitude, longitude, accuracy }, if any
+ * @returns {Object} { inside, distanceMeters, flag } where flag is null when inside
+ */
+const checkGeofence = (geofence, location) => {
+  if (!location || location.latitude === undefined || location.longitude === undefined) {
+    return { inside: false, distanceMeters: null, flag: 'location_missing' };
+  }
+
+  const distanceMeters = calculateDistanceMeters(geofence, location);
+  const tolerance = Math.min(Number(location.accuracy) || 0, geofence.radiusMeters);
+  const inside = distanceMeters <= geofence.radiusMeters + tolerance;
+
+  return { inside, distanceMeters, flag: inside ? null : 'outside_geofence' };
+};
+
+/**
+ * Find bursts of scans recorded within a few seconds of each other
+ * @param {Array} scans - Scans with a recordedAt date, sorted by recordedAt
+ * @param {number} minScans - Smallest number of scans that counts as a burst (default: 5)
+ * @param {number} windowSeconds - Longest a burst can last (default: 5)
+ * @returns {Array} One array of scans per burst
+ */
+const findScanBursts = (scans, minScans = 5, windowSeconds = 5) => {
+  const bursts = [];
+  let start = 0;
+
+  while (start < scans.length) {
+    let end = start;
+    while (end + 1 < scans.length &&
+           scans[end + 1].recordedAt - scans[start].recordedAt <= windowSeconds * 1000) {
+      end++;
+    }
+
+    if (end - start + 1 >= minScans) {
+      bursts.push(scans.slice(start, end + 1));
+      start = end + 1;
+    } else {
+      start++;
+    }
+  }
+
+  return bursts;
+};
+
+/**
+ * Calculate an attendance rate from status counts
+ * Excused sessions are left out; late arrivals count as attended.
+ * @param {Object} counts - Number of records per status (present, late, absent, excused)
+ * @returns {number} Attendance rate as a percentage with two decimals
+ */
+const calculateAttendanceRate = (counts) => {
+  const attended = (counts.present || 0) + (counts.late || 0);
+  const countable = attended + (counts.absent || 0);
+  return countable > 0 ? Math.round((attended / countable) * 10000) / 100 : 0;
+};
+
 /**
  * Calculate reading time for article content
  * @param {string} content - Article content
@@ -189,7 +487,23 @@ const extractSearchTerms = (query) => {
 
 module.exports = {
   generateRandomString,
+  getQRRotationSeconds,
   generateQRCodeData,
+  decodeQRCodeSession,
+  verifyQRCodeData,
+  getCheckInCodeRotationSeconds,
+  generateCheckInCode,
+  verifyCheckInCode,
+  WEEKDAYS,
+  setTimeOfDay,
+  getScheduledMeeting,
+  listScheduledMeetings,
+  findOverlappingDays,
+  getEnrollmentClashPolicy,
+  calculateDistanceMeters,
+  checkGeofence,
+  findScanBursts,
+  calculateAttendanceRate,
   calculateReadingTime,
   sanitizeFilename,
   formatUserDisplayName,